@@ -1,24 +1,194 @@
-// Uses global DDRModels loaded via <script src="assets/js/models.js"></script>
+// Uses globals DDRConfig, DDRModels, DDRImport, DDRPlate, DDRSynergy, DDRSimulate, DDRSession,
+// DDRSettings and DDRVector loaded via <script> tags
+// in index.html
+
+function emptyMetrics() {
+  return {
+    rSquared: null,
+    ic50: null,
+    auc: null,
+    emax: null,
+    aucFit: null,
+    aac: null,
+    aucNorm: null,
+    dss1: null,
+    dss2: null,
+    dss3: null,
+    icx: {},
+    ecx: {},
+  };
+}
+
+const SYNERGY_LABELS = { bliss: 'Bliss', hsa: 'HSA', loewe: 'Loewe', zip: 'ZIP' };
+
+// Metric table toggles (config.metrics.display keys); DSS and IC-x / EC-x switch as groups
+const METRIC_TOGGLES = [
+  ['rSquared', 'R²'],
+  ['ic50', 'IC50'],
+  ['auc', 'AUC'],
+  ['emax', 'Emax'],
+  ['aucFit', 'AUC (fit)'],
+  ['aac', 'AAC'],
+  ['aucNorm', 'nAUC'],
+  ['dss', 'DSS1–3'],
+  ['icx', 'IC-x'],
+  ['ecx', 'EC-x'],
+];
 
 class DDRCurveFittingApp {
   constructor(canvasId) {
     this.canvas = document.getElementById(canvasId);
     this.ctx = this.canvas.getContext('2d');
 
-    this.dataPoints = [];
-    this.fittedCurve = null;
-    this.fitType = 'monophasic'; // or 'biphasic'
-    this.algorithm = 'huber'; // 'hill' (OLS) or 'huber'
-    this.metrics = { rSquared: null, ic50: null, auc: null, emax: null };
-
     // Centralized configuration (see assets/js/config.js)
     this.config = DDRConfig;
+    this.defaultConfig = JSON.parse(JSON.stringify(DDRConfig)); // pristine copy for share links
+
+    // Curve collection; clicks, toggles and the data table act on the active curve
+    this.curves = [];
+    this.curveSeq = 0;
+    this.activeCurveId = null;
+    this.addCurve();
+
+    // Background fitting: latest pending request per curve, and the one the worker is running
+    this.fitQueue = new Map();
+    this.fitInFlight = null;
+    this.fitSeq = 0;
+    this.fitWorker = undefined; // created on first fit; null where workers are unavailable
+    this.fitCache = new Map(); // fit results by input key, so undo/redo never refits
+
+    // Combination mode: { name, matrix } of a drug pair, shown instead of the curves when set
+    this.combination = null;
+    this.combinationCache = null; // { key, result } of the last synergy analysis
+
+    // Undo / redo: snapshots of user-editable state, see recordHistory()
+    this.history = [];
+    this.historyIndex = -1;
 
     this.setupCanvas();
     this.setupUI();
+    this.restoreStartupSession();
+    this.recordHistory('Start');
+    this.draw();
+  }
+
+  // Per-curve state of the active curve, exposed under the original single-curve names
+  get activeCurve() {
+    return this.curves.find((c) => c.id === this.activeCurveId);
+  }
+  get dataPoints() {
+    return this.activeCurve.dataPoints;
+  }
+  set dataPoints(v) {
+    this.activeCurve.dataPoints = v;
+  }
+  get fittedCurve() {
+    return this.activeCurve.fittedCurve;
+  }
+  set fittedCurve(v) {
+    this.activeCurve.fittedCurve = v;
+  }
+  get fitType() {
+    return this.activeCurve.fitType;
+  }
+  set fitType(v) {
+    this.activeCurve.fitType = v;
+  }
+  get algorithm() {
+    return this.activeCurve.algorithm;
+  }
+  set algorithm(v) {
+    this.activeCurve.algorithm = v;
+  }
+  get metrics() {
+    return this.activeCurve.metrics;
+  }
+  set metrics(v) {
+    this.activeCurve.metrics = v;
+  }
+
+  // Curve collection
+  addCurve(name, activate = true) {
+    const palette = this.config.rendering.curveColors;
+    const template = this.activeCurve;
+    const curve = this.createCurve({
+      id: ++this.curveSeq,
+      name: name || `Curve ${this.curveSeq}`,
+      color: palette[(this.curveSeq - 1) % palette.length],
+      fitType: template ? template.fitType : 'monophasic', // 'biphasic', 'logistic4', 'logistic5' or 'auto'
+      algorithm: template ? template.algorithm : 'huber', // loss name, see DDRModels.LOSSES
+    });
+    this.curves.push(curve);
+    if (activate) {
+      this.activeCurveId = curve.id;
+    }
+    return curve;
+  }
+
+  // Curve record with empty fit state; `props` supplies id, name, color, fitType, algorithm
+  // and optionally dataPoints
+  createCurve(props) {
+    return {
+      dataPoints: [],
+      fittedCurve: null,
+      metrics: emptyMetrics(),
+      revision: 0, // bumped on every refit so async work on stale data can be dropped
+      fitting: false, // a worker fit for the current revision is pending
+      bootstrap: null, // bootstrap CI summary for the current fit
+      covariance: null, // delta-method parameter covariance (for bands)
+      modelSelection: null, // evidence for the chosen model when fitType is 'auto'
+      diagnostics: null, // residuals, influence and outlier flags of the current fit
+      truth: null, // { model, params } the points were simulated from (see setupSimulation)
+      ...props,
+    };
+  }
+
+  setActiveCurve(id) {
+    this.activeCurveId = id;
+    this.syncToggles();
+    this.updateStats();
     this.draw();
   }
 
+  removeCurve(id) {
+    this.curves = this.curves.filter((c) => c.id !== id);
+    if (this.curves.length === 0) {
+      this.addCurve();
+    }
+    if (!this.activeCurve) {
+      this.activeCurveId = this.curves[0].id;
+    }
+    this.setActiveCurve(this.activeCurveId);
+    this.recordHistory('Remove curve');
+  }
+
+  renameCurve(id) {
+    const curve = this.curves.find((c) => c.id === id);
+    const name = prompt('Curve name', curve.name);
+    if (name && name.trim()) {
+      curve.name = name.trim();
+      this.updateStats();
+      this.draw();
+      this.recordHistory('Rename curve');
+    }
+  }
+
+  // Reflect the active curve's fit type and loss, and the replicate / band settings, in the controls
+  syncToggles() {
+    document.getElementById('fitTypeSelect').value = this.fitType;
+    document.getElementById('lossSelect').value = this.algorithm;
+    document.getElementById('pointDisplaySelect').value = this.config.replicates.display;
+    document.getElementById('errorBarSelect').value = this.config.replicates.errorBar;
+    document.getElementById('replicateFitSelect').value = this.config.replicates.fitOn;
+    document.getElementById('emaxModeSelect').value = this.config.fitting.emaxMode;
+    document.getElementById('synergyMethodSelect').value = this.config.synergy.method;
+    document.getElementById('showCiBand').checked = this.config.bands.showConfidence;
+    document.getElementById('showPiBand').checked = this.config.bands.showPrediction;
+    this.syncAxisInputs();
+    this.syncFigureInputs();
+    this.syncMetricOptions();
+  }
+
   setupCanvas() {
     const resizeCanvas = () => {
       const rect = this.canvas.parentElement.getBoundingClientRect();
@@ -29,118 +199,2443 @@ class DDRCurveFittingApp {
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
     this.canvas.addEventListener('click', (e) => this.onCanvasClick(e));
+
+    // Point editing: drag to move, Shift-click to delete, Alt-click or right-click menu
+    this.canvas.addEventListener('mousedown', (e) => this.onCanvasMouseDown(e));
+    this.canvas.addEventListener('mousemove', (e) => this.onCanvasHover(e));
+    this.canvas.addEventListener('contextmenu', (e) => this.onCanvasContextMenu(e));
+    window.addEventListener('mousemove', (e) => this.onDragMove(e));
+    window.addEventListener('mouseup', () => this.onDragEnd());
+
+    const menu = document.getElementById('pointMenu');
+    menu.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      const point = this.menuPoint;
+      this.closePointMenu();
+      if (action === 'edit') {
+        this.editPoint(point);
+      } else if (action === 'exclude') {
+        this.toggleExcluded(point);
+      } else if (action === 'delete') {
+        this.deletePoint(point);
+      }
+    });
+    document.addEventListener('mousedown', (e) => {
+      if (!menu.hidden && !menu.contains(e.target)) {
+        this.closePointMenu();
+      }
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.closePointMenu();
+      }
+    });
   }
 
   setupUI() {
-    const fitTypeToggle = document.getElementById('fitTypeToggle');
-    fitTypeToggle.addEventListener('click', () => {
-      fitTypeToggle.classList.toggle('right');
-      const isRight = fitTypeToggle.classList.contains('right');
-      this.fitType = isRight ? 'biphasic' : 'monophasic';
-      fitTypeToggle.querySelector('.toggle-slider').textContent = isRight
-        ? 'Biphasic'
-        : 'Monophasic';
+    const fitTypeSelect = document.getElementById('fitTypeSelect');
+    fitTypeSelect.value = this.fitType;
+    fitTypeSelect.addEventListener('change', () => {
+      this.fitType = fitTypeSelect.value;
+      this.fitCurve();
+      this.draw();
+      this.recordHistory('Change fit type');
+    });
+
+    // One option per registered loss (DDRModels.LOSSES)
+    const lossSelect = document.getElementById('lossSelect');
+    for (const [name, loss] of Object.entries(DDRModels.LOSSES)) {
+      lossSelect.add(new Option(loss.label, name));
+    }
+    lossSelect.value = this.algorithm;
+    lossSelect.addEventListener('change', () => {
+      this.algorithm = lossSelect.value;
       this.fitCurve();
       this.draw();
+      this.recordHistory('Change loss');
+    });
+
+    // Replicate display / fitting options live in config.replicates
+    const rep = this.config.replicates;
+    const bindSelect = (id, key, refit) => {
+      const el = document.getElementById(id);
+      el.value = rep[key];
+      el.addEventListener('change', () => {
+        rep[key] = el.value;
+        if (refit) {
+          this.curves.forEach((c) => this.fitCurve(c));
+        }
+        this.draw();
+        this.recordHistory('Change replicate settings');
+      });
+    };
+    bindSelect('pointDisplaySelect', 'display', false);
+    bindSelect('errorBarSelect', 'errorBar', false);
+    bindSelect('replicateFitSelect', 'fitOn', true);
+
+    const emaxSelect = document.getElementById('emaxModeSelect');
+    emaxSelect.addEventListener('change', () => {
+      this.config.fitting.emaxMode = emaxSelect.value;
+      for (const curve of this.curves) {
+        this.refreshMetrics(curve);
+        // The bootstrap Emax interval was computed in the previous mode
+        if (curve.bootstrap) {
+          const intervals = curve.bootstrap.intervals.filter((ci) => ci.name !== 'Emax');
+          curve.bootstrap = { ...curve.bootstrap, intervals };
+        }
+      }
+      this.updateStats();
+      this.draw();
+      this.recordHistory('Change Emax mode');
     });
 
-    const algoToggle = document.getElementById('algoToggle');
-    if (algoToggle) {
-      // Initialize visual to match default (Huber => right)
-      if (!algoToggle.classList.contains('right')) algoToggle.classList.add('right');
-      algoToggle.querySelector('.toggle-slider').textContent = 'Huber';
-      algoToggle.addEventListener('click', () => {
-        algoToggle.classList.toggle('right');
-        const isRight = algoToggle.classList.contains('right');
-        this.algorithm = isRight ? 'huber' : 'hill';
-        algoToggle.querySelector('.toggle-slider').textContent = isRight ? 'Huber' : 'Hill';
-        this.fitCurve();
+    const bands = this.config.bands;
+    for (const [id, key] of [
+      ['showCiBand', 'showConfidence'],
+      ['showPiBand', 'showPrediction'],
+    ]) {
+      const el = document.getElementById(id);
+      el.checked = bands[key];
+      el.addEventListener('change', () => {
+        bands[key] = el.checked;
+        this.updateStats();
         this.draw();
+        this.recordHistory('Toggle bands');
       });
     }
 
+    this.setupAxes();
+    this.setupFigureOptions();
+    this.setupMetricOptions();
+
+    document.getElementById('addCurveBtn').addEventListener('click', () => {
+      this.addCurve();
+      this.setActiveCurve(this.activeCurveId);
+      this.recordHistory('Add curve');
+    });
+    document.getElementById('bootstrapBtn').addEventListener('click', () => this.runBootstrap());
+    document
+      .getElementById('excludeOutliersBtn')
+      .addEventListener('click', () => this.excludeOutliers());
     document.getElementById('resetBtn').addEventListener('click', () => this.reset());
     document.getElementById('exportPngBtn').addEventListener('click', () => this.exportPng());
+    document.getElementById('exportSvgBtn').addEventListener('click', () => this.exportSvg());
+    document.getElementById('exportPdfBtn').addEventListener('click', () => this.exportPdf());
     document.getElementById('exportCsvBtn').addEventListener('click', () => this.exportCsv());
+    this.setupImport();
+    this.setupPlateImport();
+    this.setupCombination();
+    this.setupSimulation();
+    this.setupHistory();
+    this.setupSession();
+    this.setupSettings();
+  }
+
+  // Axis settings panel. Concentration limits are typed in the display unit and stored in µM.
+  setupAxes() {
+    const axes = this.config.axes;
+    const unitSelect = document.getElementById('axisUnit');
+    unitSelect.addEventListener('change', () => {
+      axes.unit = unitSelect.value;
+      this.afterAxisChange();
+    });
+    document.getElementById('axisAutoRange').addEventListener('change', (e) => {
+      axes.autoRange = e.target.checked;
+      this.afterAxisChange();
+    });
+    const bindLimit = (id, key, valid) => {
+      const el = document.getElementById(id);
+      el.addEventListener('change', () => {
+        const isConc = key.startsWith('conc');
+        const value = DDRImport.parseNumber(el.value) * (isConc ? this.unitFactor() : 1);
+        if (isFinite(value) && valid(value)) {
+          axes[key] = value;
+        }
+        this.afterAxisChange(); // an invalid entry is reset to the current limit
+      });
+    };
+    bindLimit('axisConcMin', 'concMin', (v) => v > 0 && v < axes.concMax);
+    bindLimit('axisConcMax', 'concMax', (v) => v > axes.concMin);
+    bindLimit('axisViabilityMin', 'viabilityMin', (v) => v < axes.viabilityMax);
+    bindLimit('axisViabilityMax', 'viabilityMax', (v) => v > axes.viabilityMin);
+  }
+
+  afterAxisChange() {
+    this.syncAxisInputs();
+    this.syncMetricOptions();
+    this.updateStats();
+    this.draw();
+    this.recordHistory('Change axes');
+  }
+
+  syncAxisInputs() {
+    const axes = this.config.axes;
+    const num = (v) => String(+v.toPrecision(6));
+    document.getElementById('axisUnit').value = this.unitLabel().replace('µ', 'u');
+    document.getElementById('axisAutoRange').checked = axes.autoRange;
+    for (const [id, key] of [
+      ['axisConcMin', 'concMin'],
+      ['axisConcMax', 'concMax'],
+    ]) {
+      const el = document.getElementById(id);
+      el.value = num(axes[key] / this.unitFactor());
+      el.disabled = axes.autoRange;
+    }
+    document.getElementById('axisViabilityMin').value = num(axes.viabilityMin);
+    document.getElementById('axisViabilityMax').value = num(axes.viabilityMax);
+    for (const el of document.querySelectorAll('.axis-unit')) {
+      el.textContent = this.unitLabel();
+    }
+  }
+
+  // Figure export panel (config.figure). Only the exported files use it, so nothing is redrawn.
+  setupFigureOptions() {
+    const fig = this.config.figure;
+    const bind = (id, key, parse) => {
+      const el = document.getElementById(id);
+      el.addEventListener('change', () => {
+        const value = parse(el);
+        const changed = value !== undefined && value !== fig[key];
+        if (changed) {
+          fig[key] = value;
+        }
+        this.syncFigureInputs(); // an invalid entry is reset to the current value
+        if (changed) {
+          this.recordHistory('Change figure options');
+        }
+      });
+    };
+    const number = (min, max) => (el) => {
+      const value = DDRImport.parseNumber(el.value);
+      return value >= min && value <= max ? value : undefined;
+    };
+    bind('figureWidth', 'width', number(1, 20));
+    bind('figureHeight', 'height', number(1, 20));
+    bind('figureDpi', 'dpi', number(72, 600));
+    bind('figureFont', 'fontFamily', (el) => el.value.trim() || undefined);
+    bind('figureTitle', 'title', (el) => el.value.trim());
+    bind('figureAnnotate', 'annotate', (el) => el.checked);
+    this.syncFigureInputs();
+  }
+
+  syncFigureInputs() {
+    const fig = this.config.figure;
+    document.getElementById('figureWidth').value = fig.width;
+    document.getElementById('figureHeight').value = fig.height;
+    document.getElementById('figureDpi').value = fig.dpi;
+    document.getElementById('figureFont').value = fig.fontFamily;
+    document.getElementById('figureTitle').value = fig.title;
+    document.getElementById('figureAnnotate').checked = fig.annotate;
+  }
+
+  setupMetricOptions() {
+    const metrics = this.config.metrics;
+    const container = document.getElementById('metricToggles');
+    for (const [key, label] of METRIC_TOGGLES) {
+      const el = document.createElement('label');
+      el.className = 'inline-check';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.dataset.metric = key;
+      box.addEventListener('change', () => {
+        metrics.display[key] = box.checked;
+        this.updateMetricsTable();
+        this.recordHistory('Toggle metrics');
+      });
+      el.append(box, ` ${label}`);
+      container.appendChild(el);
+    }
+    // Range limits are typed in the display unit; empty means each curve's tested range
+    for (const [id, key] of [
+      ['metricRangeMin', 'rangeMin'],
+      ['metricRangeMax', 'rangeMax'],
+    ]) {
+      const el = document.getElementById(id);
+      el.addEventListener('change', () => {
+        const value =
+          el.value.trim() === '' ? null : DDRImport.parseNumber(el.value) * this.unitFactor();
+        const next = { ...metrics, [key]: value };
+        const valid =
+          value === null ||
+          (value > 0 && !(next.rangeMin && next.rangeMax && next.rangeMin >= next.rangeMax));
+        this.syncMetricOptions(); // an invalid entry is reset to the current limit
+        if (!valid || value === metrics[key]) {
+          return;
+        }
+        metrics[key] = value;
+        this.syncMetricOptions();
+        this.curves.forEach((c) => this.refreshMetrics(c));
+        this.updateStats();
+        this.draw();
+        this.recordHistory('Change metric range');
+      });
+    }
+    // IC-x / EC-x levels: comma-separated percentages strictly between 0 and 100, or empty
+    for (const [id, key, toggle] of [
+      ['metricIcLevels', 'icLevels', 'icx'],
+      ['metricEcLevels', 'ecLevels', 'ecx'],
+    ]) {
+      const el = document.getElementById(id);
+      el.addEventListener('change', () => {
+        const levels = el.value
+          .split(/[\s,;]+/)
+          .filter(Boolean)
+          .map((v) => DDRImport.parseNumber(v));
+        const valid = levels.every((v) => v > 0 && v < 100);
+        this.syncMetricOptions(); // an invalid entry is reset to the current levels
+        const next = [...new Set(levels)].sort((a, b) => a - b);
+        if (!valid || JSON.stringify(next) === JSON.stringify(metrics[key])) {
+          return;
+        }
+        metrics[key] = next;
+        if (next.length) {
+          metrics.display[toggle] = true; // show the columns just asked for
+        }
+        this.syncMetricOptions();
+        this.curves.forEach((c) => this.refreshMetrics(c));
+        this.updateStats();
+        this.draw();
+        this.recordHistory('Change metric levels');
+      });
+    }
+    this.syncMetricOptions();
+  }
+
+  syncMetricOptions() {
+    const metrics = this.config.metrics;
+    for (const box of document.querySelectorAll('#metricToggles input')) {
+      box.checked = !!metrics.display[box.dataset.metric];
+    }
+    const value = (v) => (v ? this.formatConcentration(v) : '');
+    document.getElementById('metricRangeMin').value = value(metrics.rangeMin);
+    document.getElementById('metricRangeMax').value = value(metrics.rangeMax);
+    document.getElementById('metricIcLevels').value = (metrics.icLevels || []).join(', ');
+    document.getElementById('metricEcLevels').value = (metrics.ecLevels || []).join(', ');
+  }
+
+  // Metric columns of the metrics table and CSV summary, in display units. `toggle` is the
+  // config.metrics.display key that shows the column.
+  metricColumns() {
+    const unit = this.unitLabel();
+    const conc = (v) => (v / this.unitFactor()).toExponential(2);
+    const fixed = (digits) => (v) => v.toFixed(digits);
+    const { icLevels = [], ecLevels = [] } = this.config.metrics;
+    return [
+      { toggle: 'rSquared', label: 'R-squared', get: (m) => m.rSquared, format: fixed(4) },
+      { toggle: 'ic50', label: `IC50 (${unit})`, get: (m) => m.ic50, format: conc },
+      { toggle: 'auc', label: 'AUC', get: (m) => m.auc, format: fixed(3) },
+      { toggle: 'emax', label: 'Emax (%)', get: (m) => m.emax, format: fixed(1) },
+      { toggle: 'aucFit', label: 'AUC (fit)', get: (m) => m.aucFit, format: fixed(3) },
+      { toggle: 'aac', label: 'AAC', get: (m) => m.aac, format: fixed(3) },
+      { toggle: 'aucNorm', label: 'nAUC', get: (m) => m.aucNorm, format: fixed(3) },
+      ...[1, 2, 3].map((k) => ({
+        toggle: 'dss',
+        label: `DSS${k}`,
+        get: (m) => m[`dss${k}`],
+        format: fixed(2),
+      })),
+      // IC50 has its own column
+      ...icLevels
+        .filter((x) => x !== 50)
+        .map((x) => ({
+          toggle: 'icx',
+          label: `IC${x} (${unit})`,
+          get: (m) => (m.icx ? m.icx[x] : null),
+          format: conc,
+        })),
+      ...ecLevels.map((x) => ({
+        toggle: 'ecx',
+        label: `EC${x} (${unit})`,
+        get: (m) => (m.ecx ? m.ecx[x] : null),
+        format: conc,
+      })),
+    ];
+  }
+
+  // Display unit for concentrations (config.axes.unit); data and fits stay in µM
+  unitFactor() {
+    return DDRImport.UNIT_TO_UM[DDRImport.normalizeUnit(this.config.axes.unit) || 'um'];
+  }
+
+  unitLabel() {
+    const key = DDRImport.normalizeUnit(this.config.axes.unit) || 'um';
+    return { m: 'M', mm: 'mM', um: 'µM', nm: 'nM', pm: 'pM' }[key] || 'µM';
+  }
+
+  // µM value in the display unit, to 6 significant digits
+  formatConcentration(concentration) {
+    return String(+(concentration / this.unitFactor()).toPrecision(6));
+  }
+
+  // EC50-type parameters and IC50 are concentrations and are shown in the display unit
+  isConcentrationName(name) {
+    return name === 'IC50' || /^EC50/.test(name);
+  }
+
+  setupHistory() {
+    document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+    document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS; Ctrl+Y also redoes). Text fields keep native undo.
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+        return;
+      }
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) {
+        return;
+      }
+      if (document.querySelector('.modal-backdrop:not([hidden])')) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        this.undo();
+      } else if (key === 'z' || key === 'y') {
+        this.redo();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    });
+  }
+
+  // File import (CSV/TSV): file picker + drag-and-drop, then a column-mapping dialog
+  setupImport() {
+    const fileInput = document.getElementById('importFileInput');
+    document.getElementById('importBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length) {
+        this.readImportFile(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+
+    const container = document.getElementById('canvasContainer');
+    container.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      container.classList.add('dragover');
+    });
+    container.addEventListener('dragleave', () => container.classList.remove('dragover'));
+    container.addEventListener('drop', (e) => {
+      e.preventDefault();
+      container.classList.remove('dragover');
+      const file = e.dataTransfer && e.dataTransfer.files[0];
+      if (file) {
+        this.readImportFile(file);
+      }
+    });
+
+    document.getElementById('importHasHeader').addEventListener('change', (e) => {
+      this.importState.parsed = DDRImport.analyze(this.importState.text, {
+        hasHeader: e.target.checked,
+      });
+      document.getElementById('importMapping').innerHTML = '';
+      this.renderImportDialog();
+    });
+    for (const id of ['importUnit', 'importScale', 'importGroup']) {
+      document.getElementById(id).addEventListener('change', () => this.renderImportDialog());
+    }
+    document
+      .getElementById('importCancelBtn')
+      .addEventListener('click', () => this.closeImportDialog());
+    document.getElementById('importConfirmBtn').addEventListener('click', () => this.applyImport());
+  }
+
+  readImportFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => this.openImportDialog(file.name, String(reader.result));
+    reader.onerror = () => alert(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  }
+
+  openImportDialog(fileName, text) {
+    const parsed = DDRImport.analyze(text);
+    this.importState = { fileName, text, parsed };
+    document.getElementById('importFileName').textContent = fileName;
+    document.getElementById('importHasHeader').checked = parsed.hasHeader;
+    document.querySelector('#importUnit option[value=""]').textContent =
+      `Auto (header / unit column, else ${this.unitLabel()})`;
+    document.getElementById('importMapping').innerHTML = '';
+    document.getElementById('importDialog').hidden = false;
+    this.renderImportDialog();
+  }
+
+  closeImportDialog() {
+    document.getElementById('importDialog').hidden = true;
+    this.importState = null;
+  }
+
+  // Read the mapping selects (if rendered) and run the mapping to refresh preview and errors
+  collectImport() {
+    const { parsed } = this.importState;
+    const mapping = { ...parsed.mapping };
+    for (const sel of document.querySelectorAll('#importMapping select')) {
+      mapping[sel.dataset.field] = sel.value === '' ? null : Number(sel.value);
+    }
+    parsed.mapping = mapping;
+    return DDRImport.mapRows(parsed, mapping, {
+      defaultUnit: document.getElementById('importUnit').value || null,
+      fallbackUnit: this.config.axes.unit,
+      viabilityScale: document.getElementById('importScale').value,
+    });
+  }
+
+  renderImportDialog() {
+    const { parsed } = this.importState;
+    const result = this.collectImport();
+
+    const mappingEl = document.getElementById('importMapping');
+    mappingEl.innerHTML = '';
+    for (const f of DDRImport.FIELDS) {
+      const label = document.createElement('label');
+      label.textContent = f.label + (f.required ? ' *' : '');
+      const sel = document.createElement('select');
+      sel.dataset.field = f.key;
+      sel.add(new Option(f.required ? '(choose column)' : '(none)', ''));
+      parsed.headers.forEach((h, i) => sel.add(new Option(h, String(i))));
+      const current = parsed.mapping[f.key];
+      sel.value = current === null || current === undefined ? '' : String(current);
+      sel.addEventListener('change', () => this.renderImportDialog());
+      label.appendChild(sel);
+      mappingEl.appendChild(label);
+    }
+
+    // Dataset picker when the file holds several drug / cell line combinations
+    const groups = DDRImport.groupKeys(result.points);
+    const groupRow = document.getElementById('importGroupRow');
+    const groupSel = document.getElementById('importGroup');
+    const prevGroup = groupSel.value;
+    groupSel.innerHTML = '';
+    groupRow.hidden = groups.length < 2;
+    if (groups.length > 1) {
+      groupSel.add(new Option(`All datasets, one curve each (${groups.length})`, '*'));
+      for (const g of groups) {
+        groupSel.add(new Option(`${g.key || '(unlabelled)'} (${g.count} rows)`, g.key));
+      }
+      if (groups.some((g) => g.key === prevGroup)) {
+        groupSel.value = prevGroup;
+      }
+    }
+
+    const preview = document.getElementById('importPreview');
+    preview.innerHTML = '';
+    const head = preview.createTHead().insertRow();
+    for (const h of parsed.headers) {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
+    }
+    const body = preview.createTBody();
+    for (const r of parsed.rows.slice(0, 5)) {
+      const row = body.insertRow();
+      parsed.headers.forEach((_, i) => (row.insertCell(i).textContent = r.cells[i] ?? ''));
+    }
+
+    const selected = this.selectImportGroup(result.points);
+    const summary = document.getElementById('importSummary');
+    summary.textContent =
+      `${selected.length} of ${parsed.rows.length} rows ready to import` +
+      (result.viabilityScale ? ` (viability read as ${result.viabilityScale})` : '') +
+      (result.errors.length ? `, ${result.errors.length} skipped:` : '');
+    const errorsEl = document.getElementById('importErrors');
+    errorsEl.innerHTML = '';
+    const maxErrorsShown = 20;
+    for (const err of result.errors.slice(0, maxErrorsShown)) {
+      const li = document.createElement('li');
+      li.textContent = err.line ? `Line ${err.line}: ${err.message}` : err.message;
+      errorsEl.appendChild(li);
+    }
+    if (result.errors.length > maxErrorsShown) {
+      const li = document.createElement('li');
+      li.textContent = `…and ${result.errors.length - maxErrorsShown} more`;
+      errorsEl.appendChild(li);
+    }
+    document.getElementById('importConfirmBtn').disabled = selected.length === 0;
+    this.importState.result = result;
+  }
+
+  selectImportGroup(points) {
+    const groupRow = document.getElementById('importGroupRow');
+    const key = document.getElementById('importGroup').value;
+    if (groupRow.hidden || key === '*') {
+      return points;
+    }
+    return points.filter((p) => DDRImport.pointGroupKey(p) === key);
+  }
+
+  applyImport() {
+    const points = this.selectImportGroup(this.collectImport().points);
+    if (points.length === 0) {
+      return;
+    }
+    const replace = document.getElementById('importReplace').checked;
+    const fileLabel = this.importState.fileName.replace(/\.[^.]+$/, '');
+    this.closeImportDialog();
+    this.importPoints(points, replace, fileLabel);
+  }
+
+  // Add imported points: one curve per drug / cell line combination when there are several,
+  // otherwise into the active curve (named `fileLabel` when unlabelled)
+  importPoints(points, replace, fileLabel) {
+    const groups = DDRImport.groupKeys(points);
+
+    if (groups.length > 1) {
+      // One curve per drug / cell line combination
+      if (replace) {
+        this.curves = [];
+        this.activeCurveId = null;
+      }
+      let first = null;
+      for (const g of groups) {
+        const curve = this.addCurve(g.key || fileLabel, first === null);
+        curve.dataPoints = points.filter((p) => DDRImport.pointGroupKey(p) === g.key);
+        this.fitCurve(curve);
+        first = first || curve;
+      }
+    } else {
+      if (replace) {
+        this.dataPoints = [];
+        this.activeCurve.name = groups[0].key || fileLabel;
+      }
+      this.activeCurve.truth = null; // no longer (only) simulated data
+      this.dataPoints.push(...points);
+      this.fitCurve();
+    }
+    this.setActiveCurve(this.activeCurveId);
+    this.recordHistory('Import');
+  }
+
+  // Combination mode: a drug-pair viability matrix scored by DDRSynergy and drawn as a synergy
+  // heatmap plus response surface in place of the curves
+  setupCombination() {
+    const fileInput = document.getElementById('comboFileInput');
+    document.getElementById('comboImportBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) {
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = () => this.openCombination(file.name, String(reader.result));
+      reader.onerror = () => alert(`Could not read ${file.name}`);
+      reader.readAsText(file);
+    });
+    const methodSelect = document.getElementById('synergyMethodSelect');
+    methodSelect.addEventListener('change', () => {
+      this.config.synergy.method = methodSelect.value;
+      this.updateCombinationPanel();
+      this.draw();
+      this.recordHistory('Change synergy score');
+    });
+    document.getElementById('closeCombinationBtn').addEventListener('click', () => {
+      this.combination = null;
+      this.updateStats();
+      this.draw();
+      this.recordHistory('Close combination');
+    });
+  }
+
+  openCombination(fileName, text) {
+    const { matrix, errors } = DDRSynergy.parseMatrix(text, { unit: this.config.axes.unit });
+    if (!matrix) {
+      const lines = errors.map((e) => (e.line ? `Line ${e.line}: ${e.message}` : e.message));
+      alert(`Could not read ${fileName}:\n${lines.slice(0, 10).join('\n')}`);
+      return;
+    }
+    this.combination = { name: fileName.replace(/\.[^.]+$/, ''), matrix };
+    this.updateStats();
+    this.draw();
+    this.recordHistory('Import combination');
+  }
+
+  // Synergy analysis of the current matrix; margins use the current loss, and the result is
+  // kept until the matrix or loss changes
+  combinationResult() {
+    const key = JSON.stringify([this.combination.matrix, this.algorithm]);
+    if (!this.combinationCache || this.combinationCache.key !== key) {
+      const result = DDRSynergy.analyzeMatrix(this.combination.matrix, this.config, this.algorithm);
+      this.combinationCache = { key, result };
+    }
+    return this.combinationCache.result;
+  }
+
+  updateCombinationPanel() {
+    const item = document.getElementById('combinationItem');
+    item.hidden = !this.combination;
+    if (!this.combination) {
+      return;
+    }
+    const result = this.combinationResult();
+    document.getElementById('combinationName').textContent = `(${this.combination.name})`;
+    const tbody = document.getElementById('synergySummaryBody');
+    tbody.innerHTML = '';
+    const num = (v) => (v === null ? '--' : v.toFixed(2));
+    for (const method of Object.keys(DDRSynergy.METHODS)) {
+      const row = tbody.insertRow();
+      row.className = method === this.config.synergy.method ? 'selected' : '';
+      row.title = DDRSynergy.METHODS[method];
+      const s = result.summary[method];
+      row.insertCell().textContent = SYNERGY_LABELS[method];
+      row.insertCell().textContent = num(s.mean);
+      row.insertCell().textContent = num(s.max);
+    }
+    const margin = (name, fit) =>
+      fit
+        ? `${name}: IC50 ${this.formatConcentration(fit.params[2])} ${this.unitLabel()}, HS ${fit.params[0].toFixed(2)}`
+        : `${name}: not fitted`;
+    document.getElementById('combinationNote').textContent = [
+      margin(result.drugA, result.fitA),
+      margin(result.drugB, result.fitB),
+      ...result.errors,
+      '> 0 synergy, < 0 antagonism (% inhibition points)',
+    ].join('. ');
+  }
+
+  // Diverging colour for a synergy score: red for synergy, blue for antagonism
+  synergyColor(score) {
+    if (score === null || !isFinite(score)) {
+      return '#e9ecef';
+    }
+    const t = Math.max(-1, Math.min(1, score / this.config.synergy.colorLimit));
+    const [r, g, b] = t >= 0 ? [220, 53, 69] : [0, 123, 255];
+    const mix = (c) => Math.round(255 + (c - 255) * Math.abs(t));
+    return `rgb(${mix(r)}, ${mix(g)}, ${mix(b)})`;
+  }
+
+  formatDose(v) {
+    return String(Number((v / this.unitFactor()).toPrecision(3)));
+  }
+
+  drawCombination() {
+    const result = this.combinationResult();
+    const { width, height } = this.canvas;
+    const half = width / 2;
+    this.drawSynergyHeatmap(result, { x: 80, y: 50, w: half - 160, h: height - 120 });
+    this.drawResponseSurface(result, { x: half + 10, y: 40, w: half - 30, h: height - 60 });
+  }
+
+  // Heatmap of the selected score over the combination wells (drug A up, drug B across)
+  drawSynergyHeatmap(result, box) {
+    const ctx = this.ctx;
+    const { dosesA, dosesB } = this.combination.matrix;
+    const method = this.config.synergy.method;
+    const nA = dosesA.length - 1;
+    const nB = dosesB.length - 1;
+    const cw = box.w / nB;
+    const ch = box.h / nA;
+    const cellY = (i) => box.y + (nA - i) * ch;
+    const cellX = (j) => box.x + (j - 1) * cw;
+
+    ctx.font = this.font(11);
+    ctx.textAlign = 'center';
+    for (const cell of result.cells) {
+      ctx.fillStyle = this.synergyColor(cell[method]);
+      ctx.fillRect(cellX(cell.j), cellY(cell.i), cw, ch);
+      if (cw > 30 && ch > 16) {
+        ctx.fillStyle = '#212529';
+        const label = cell[method] === null ? '--' : cell[method].toFixed(1);
+        ctx.fillText(label, cellX(cell.j) + cw / 2, cellY(cell.i) + ch / 2 + 4);
+      }
+    }
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 0; i <= nA; i++) {
+      ctx.moveTo(box.x, box.y + i * ch);
+      ctx.lineTo(box.x + box.w, box.y + i * ch);
+    }
+    for (let j = 0; j <= nB; j++) {
+      ctx.moveTo(box.x + j * cw, box.y);
+      ctx.lineTo(box.x + j * cw, box.y + box.h);
+    }
+    ctx.stroke();
+
+    // Dose labels, axis titles and title
+    ctx.fillStyle = '#212529';
+    ctx.font = this.font(10);
+    for (let j = 1; j <= nB; j++) {
+      ctx.fillText(this.formatDose(dosesB[j]), cellX(j) + cw / 2, box.y + box.h + 14);
+    }
+    ctx.textAlign = 'right';
+    for (let i = 1; i <= nA; i++) {
+      ctx.fillText(this.formatDose(dosesA[i]), box.x - 6, cellY(i) + ch / 2 + 4);
+    }
+    ctx.textAlign = 'center';
+    ctx.font = this.font(12);
+    ctx.fillText(`${result.drugB} (${this.unitLabel()})`, box.x + box.w / 2, box.y + box.h + 34);
+    ctx.save();
+    ctx.translate(box.x - 60, box.y + box.h / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(`${result.drugA} (${this.unitLabel()})`, 0, 0);
+    ctx.restore();
+    const mean = result.summary[method].mean;
+    ctx.font = this.font(13, 600);
+    ctx.fillText(
+      `${DDRSynergy.METHODS[method]}: mean ${mean === null ? '--' : mean.toFixed(2)}`,
+      box.x + box.w / 2,
+      box.y - 16
+    );
+
+    // Colour bar
+    const limit = this.config.synergy.colorLimit;
+    const barX = box.x + box.w + 16;
+    const steps = 40;
+    for (let k = 0; k < steps; k++) {
+      ctx.fillStyle = this.synergyColor(limit * (1 - (2 * (k + 0.5)) / steps));
+      ctx.fillRect(barX, box.y + (k * box.h) / steps, 12, box.h / steps + 0.5);
+    }
+    ctx.fillStyle = '#212529';
+    ctx.font = this.font(10);
+    ctx.textAlign = 'left';
+    ctx.fillText(`+${limit}`, barX + 16, box.y + 8);
+    ctx.fillText('0', barX + 16, box.y + box.h / 2 + 4);
+    ctx.fillText(`−${limit}`, barX + 16, box.y + box.h);
+  }
+
+  // Observed % inhibition over the combination doses as an isometric surface, each patch
+  // coloured by the mean selected score of its corners; drawn back to front
+  drawResponseSurface(result, box) {
+    const ctx = this.ctx;
+    const { dosesA, dosesB, viability } = this.combination.matrix;
+    const method = this.config.synergy.method;
+    const nA = dosesA.length - 1;
+    const nB = dosesB.length - 1;
+    if (nA < 2 || nB < 2) {
+      return;
+    }
+    const cos = Math.cos(Math.PI / 6);
+    const sin = Math.sin(Math.PI / 6);
+    const zh = box.h * 0.4;
+    const s = Math.min((box.w * 0.8) / (2 * cos), (box.h - zh - 50) / (2 * sin));
+    const ox = box.x + box.w / 2;
+    const oy = box.y + zh + 10;
+    // i, j index the nonzero doses of A and B; z is % inhibition
+    const project = (i, j, z) => {
+      const gx = (j - 1) / (nB - 1);
+      const gy = (i - 1) / (nA - 1);
+      return [ox + (gx - gy) * s * cos, oy + (gx + gy) * s * sin - (z / 100) * zh];
+    };
+    const height = (i, j) => {
+      const v = viability[i][j];
+      return isFinite(v) ? Math.max(0, Math.min(100, 100 - v)) : 0;
+    };
+    const scores = new Map(result.cells.map((c) => [`${c.i},${c.j}`, c[method]]));
+
+    // Base plane and inhibition axis (at the left corner)
+    ctx.strokeStyle = '#adb5bd';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    [
+      [1, 1],
+      [1, nB],
+      [nA, nB],
+      [nA, 1],
+      [1, 1],
+    ].forEach(([i, j], k) => ctx[k ? 'lineTo' : 'moveTo'](...project(i, j, 0)));
+    const [ax, ay] = project(nA, 1, 0);
+    ctx.moveTo(ax, ay);
+    ctx.lineTo(ax, ay - zh);
+    ctx.stroke();
+    ctx.fillStyle = '#212529';
+    ctx.font = this.font(10);
+    ctx.textAlign = 'right';
+    for (const z of [0, 50, 100]) {
+      ctx.fillText(`${z}%`, ax - 4, ay - (z / 100) * zh + 4);
+    }
+
+    const patches = [];
+    for (let i = 1; i < nA; i++) {
+      for (let j = 1; j < nB; j++) {
+        const corners = [
+          [i, j],
+          [i, j + 1],
+          [i + 1, j + 1],
+          [i + 1, j],
+        ];
+        const values = corners
+          .map(([a, b]) => scores.get(`${a},${b}`))
+          .filter((v) => v !== null && v !== undefined);
+        const score = values.length ? values.reduce((t, v) => t + v, 0) / values.length : null;
+        patches.push({ depth: i + j, corners, score });
+      }
+    }
+    patches.sort((p, q) => p.depth - q.depth);
+    ctx.strokeStyle = '#495057';
+    ctx.lineWidth = 0.5;
+    for (const p of patches) {
+      ctx.beginPath();
+      p.corners.forEach(([i, j], k) =>
+        ctx[k ? 'lineTo' : 'moveTo'](...project(i, j, height(i, j)))
+      );
+      ctx.closePath();
+      ctx.fillStyle = this.synergyColor(p.score);
+      ctx.fill();
+      ctx.stroke();
+    }
+
+    // Dose labels along the two front edges
+    ctx.fillStyle = '#212529';
+    ctx.font = this.font(10);
+    ctx.textAlign = 'left';
+    for (let i = 1; i <= nA; i++) {
+      const [x, y] = project(i, nB, 0);
+      ctx.fillText(this.formatDose(dosesA[i]), x + 6, y + 12);
+    }
+    ctx.textAlign = 'right';
+    for (let j = 1; j <= nB; j++) {
+      const [x, y] = project(nA, j, 0);
+      ctx.fillText(this.formatDose(dosesB[j]), x - 6, y + 12);
+    }
+    ctx.font = this.font(12);
+    ctx.textAlign = 'center';
+    const [bx, by] = project(nA, (1 + nB) / 2, 0);
+    ctx.fillText(`${result.drugB} (${this.unitLabel()})`, bx - 40, by + 34);
+    const [cx, cy] = project((1 + nA) / 2, nB, 0);
+    ctx.fillText(`${result.drugA} (${this.unitLabel()})`, cx + 40, cy + 34);
+    ctx.font = this.font(13, 600);
+    ctx.fillText('Response surface (% inhibition)', box.x + box.w / 2, box.y - 6);
+  }
+
+  // Plate import: raw reads + layout files, normalized and QC'd by DDRPlate
+  setupPlateImport() {
+    const dialog = document.getElementById('plateDialog');
+    document.getElementById('plateImportBtn').addEventListener('click', () => {
+      this.plateState = { reads: null, layout: null, result: null };
+      for (const id of ['plateReadsInput', 'plateLayoutInput']) {
+        document.getElementById(id).value = '';
+      }
+      dialog.hidden = false;
+      this.renderPlateDialog();
+    });
+    for (const [id, key] of [
+      ['plateReadsInput', 'reads'],
+      ['plateLayoutInput', 'layout'],
+    ]) {
+      const input = document.getElementById(id);
+      input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) {
+          return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => {
+          this.plateState[key] = { name: file.name, text: String(reader.result) };
+          this.renderPlateDialog();
+        };
+        reader.onerror = () => alert(`Could not read ${file.name}`);
+        reader.readAsText(file);
+      });
+    }
+    document.getElementById('plateUnit').addEventListener('change', () => this.renderPlateDialog());
+    document.getElementById('plateCancelBtn').addEventListener('click', () => {
+      dialog.hidden = true;
+      this.plateState = null;
+    });
+    document
+      .getElementById('plateConfirmBtn')
+      .addEventListener('click', () => this.applyPlateImport());
+  }
+
+  renderPlateDialog() {
+    const state = this.plateState;
+    const unitSelect = document.getElementById('plateUnit');
+    unitSelect.options[0].textContent = `Auto (header / cell, else ${this.unitLabel()})`;
+    state.result =
+      state.reads && state.layout
+        ? DDRPlate.importPlates(state.reads.text, state.layout.text, {
+            ...this.config.plate,
+            unit: unitSelect.value || this.config.axes.unit,
+          })
+        : null;
+    const result = state.result;
+
+    const tbody = document.getElementById('plateQcBody');
+    tbody.innerHTML = '';
+    const limits = this.config.plate;
+    const num = (v, digits) => (v === null ? '--' : v.toFixed(digits));
+    for (const qc of result ? result.qc : []) {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = `${qc.plate} (${qc.wells})`;
+      const z = row.insertCell();
+      z.textContent = num(qc.zPrime, 2);
+      if (qc.zPrime !== null && qc.zPrime < limits.zPrimeMin) {
+        z.className = 'poor';
+      }
+      for (const s of [qc.neg, qc.pos]) {
+        const cell = row.insertCell();
+        cell.textContent = s.n ? `${num(s.mean, 0)} (${num(s.cv, 1)}%)` : '--';
+        if (s.cv !== null && s.cv > limits.cvMax) {
+          cell.className = 'poor';
+        }
+      }
+      const warnings = row.insertCell();
+      warnings.className = 'plate-warnings';
+      warnings.textContent = qc.warnings.join('; ') || 'OK';
+    }
+
+    const summary = document.getElementById('plateSummary');
+    if (!state.reads || !state.layout) {
+      summary.textContent = 'Choose a plate reads file and a layout file.';
+    } else {
+      const compounds = DDRImport.groupKeys(result.points).length;
+      summary.textContent =
+        `${result.plates} plate${result.plates === 1 ? '' : 's'}, ` +
+        `${result.points.length} wells normalized into ${compounds} compound dataset` +
+        (compounds === 1 ? '' : 's');
+    }
+    const errorsEl = document.getElementById('plateErrors');
+    errorsEl.innerHTML = '';
+    for (const err of result ? result.errors.slice(0, 20) : []) {
+      const li = document.createElement('li');
+      const file = state[err.source].name;
+      li.textContent = err.line
+        ? `${file}, line ${err.line}: ${err.message}`
+        : `${file}: ${err.message}`;
+      errorsEl.appendChild(li);
+    }
+    document.getElementById('plateConfirmBtn').disabled = !result || result.points.length === 0;
+  }
+
+  applyPlateImport() {
+    const { result, reads } = this.plateState;
+    if (!result || result.points.length === 0) {
+      return;
+    }
+    const replace = document.getElementById('plateReplace').checked;
+    document.getElementById('plateDialog').hidden = true;
+    this.plateState = null;
+    this.importPoints(result.points, replace, reads.name.replace(/\.[^.]+$/, ''));
+  }
+
+  // Synthetic data (DDRSimulate): the Simulate dialog replaces the active curve's points with a
+  // dataset drawn from known parameters and fits it; the batch mode fits many seeded datasets
+  // per loss / optimizer pair. The form starts from config.simulation and writes back to it.
+  setupSimulation() {
+    const dialog = document.getElementById('simulateDialog');
+    const fill = (id, options) => {
+      const select = document.getElementById(id);
+      for (const [value, label] of Object.entries(options)) {
+        select.add(new Option(label, value));
+      }
+    };
+    fill('simModel', DDRSimulate.MODELS);
+    fill('simNoiseModel', DDRSimulate.NOISE_MODELS);
+    const checks = (id, options) => {
+      const box = document.getElementById(id);
+      for (const [value, label] of Object.entries(options)) {
+        const el = document.createElement('label');
+        el.className = 'inline-check';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = value;
+        el.append(input, ` ${label}`);
+        box.appendChild(el);
+      }
+    };
+    const losses = Object.entries(DDRModels.LOSSES).map(([name, loss]) => [name, loss.label]);
+    checks('simBatchLosses', Object.fromEntries(losses));
+    checks('simBatchMethods', this.optimizerMethods());
+
+    document.getElementById('simulateBtn').addEventListener('click', () => {
+      this.fillSimulation();
+      this.showSimulationErrors([]);
+      this.renderSimulationBatch();
+      dialog.hidden = false;
+    });
+    const modelSelect = document.getElementById('simModel');
+    modelSelect.addEventListener('change', () => this.renderSimulationParams(modelSelect.value));
+    document
+      .getElementById('simNoiseModel')
+      .addEventListener('change', () => this.syncSimulationNoise());
+    document.getElementById('simCancelBtn').addEventListener('click', () => {
+      this.simulationJob = null;
+      dialog.hidden = true;
+    });
+    document
+      .getElementById('simGenerateBtn')
+      .addEventListener('click', () => this.generateSimulation());
+    document
+      .getElementById('simBatchBtn')
+      .addEventListener('click', () => this.runSimulationBatch());
+  }
+
+  // Optimizer methods as offered by the settings drawer
+  optimizerMethods() {
+    return DDRSettings.FIELDS.find((f) => f.path === 'optimizer.method').options;
+  }
+
+  fillSimulation() {
+    const sim = this.config.simulation;
+    const set = (id, value) => (document.getElementById(id).value = value);
+    set('simModel', sim.model);
+    this.renderSimulationParams(sim.model);
+    set('simDoseCount', sim.doses.count);
+    set('simDilution', sim.doses.dilution);
+    set('simTopDose', this.formatConcentration(sim.doses.top));
+    set('simReplicates', sim.replicates);
+    set('simNoiseModel', sim.noise.model);
+    set('simNoiseSd', sim.noise.sd);
+    set('simOutlierFraction', sim.noise.outlierFraction);
+    set('simOutlierShift', sim.noise.outlierShift);
+    set('simSeed', sim.seed);
+    set('simBatchN', sim.batch.nSimulations);
+    for (const [id, selected] of [
+      ['simBatchLosses', sim.batch.losses],
+      ['simBatchMethods', sim.batch.methods],
+    ]) {
+      for (const input of document.querySelectorAll(`#${id} input`)) {
+        input.checked = selected.includes(input.value);
+      }
+    }
+    this.syncSimulationNoise();
+  }
+
+  // One input per parameter of `model` with its configured true value; EC50s in the display unit
+  renderSimulationParams(model) {
+    const box = document.getElementById('simParams');
+    box.innerHTML = '';
+    DDRModels.PARAM_NAMES[model].forEach((name, i) => {
+      const value = this.config.simulation.params[model][i];
+      const isConc = this.isConcentrationName(name);
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = 'any';
+      input.value = isConc ? this.formatConcentration(value) : value;
+      label.append(isConc ? `${name} (${this.unitLabel()})` : name, input);
+      box.appendChild(label);
+    });
+  }
+
+  // The outlier inputs only apply to the outlier noise model
+  syncSimulationNoise() {
+    const outliers = document.getElementById('simNoiseModel').value === 'outliers';
+    for (const id of ['simOutlierFraction', 'simOutlierShift']) {
+      document.getElementById(id).disabled = !outliers;
+    }
+  }
+
+  // Read and check the dialog. Returns { spec, seed, batch, errors }, spec being a
+  // DDRSimulate.generate spec in µM; valid values are kept in config.simulation.
+  collectSimulation() {
+    const num = (id) => {
+      const text = document.getElementById(id).value.trim();
+      return text === '' ? NaN : Number(text);
+    };
+    const checked = (id) =>
+      [...document.querySelectorAll(`#${id} input`)].filter((i) => i.checked).map((i) => i.value);
+    const model = document.getElementById('simModel').value;
+    const specs = DDRModels.paramSpecs(model);
+    const params = [...document.querySelectorAll('#simParams input')].map((input, i) => {
+      const v = input.value.trim() === '' ? NaN : Number(input.value);
+      return this.isConcentrationName(specs[i].name) ? v * this.unitFactor() : v;
+    });
+    const spec = {
+      model,
+      params,
+      doses: {
+        count: num('simDoseCount'),
+        dilution: num('simDilution'),
+        top: num('simTopDose') * this.unitFactor(),
+      },
+      replicates: num('simReplicates'),
+      noise: {
+        model: document.getElementById('simNoiseModel').value,
+        sd: num('simNoiseSd'),
+        outlierFraction: num('simOutlierFraction'),
+        outlierShift: num('simOutlierShift'),
+      },
+    };
+    const seed = num('simSeed');
+    const batch = {
+      nSimulations: num('simBatchN'),
+      losses: checked('simBatchLosses'),
+      methods: checked('simBatchMethods'),
+    };
+
+    const errors = [];
+    const isCount = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+    specs.forEach((p, i) => {
+      if (!isFinite(params[i]) || (p.log && params[i] <= 0)) {
+        errors.push(`${p.name} must be a ${p.log ? 'positive ' : ''}number`);
+      }
+    });
+    if (!isCount(spec.doses.count, 3, 100)) {
+      errors.push('Doses must be a whole number from 3 to 100');
+    }
+    if (!(spec.doses.dilution > 1)) {
+      errors.push('Dilution factor must be above 1');
+    }
+    if (!(spec.doses.top > 0)) {
+      errors.push('Top dose must be positive');
+    }
+    if (!isCount(spec.replicates, 1, 50)) {
+      errors.push('Replicates must be a whole number from 1 to 50');
+    }
+    if (!(spec.noise.sd >= 0)) {
+      errors.push('SD must be 0 or more');
+    }
+    if (!(spec.noise.outlierFraction >= 0 && spec.noise.outlierFraction <= 1)) {
+      errors.push('Outlier fraction must be from 0 to 1');
+    }
+    if (!(spec.noise.outlierShift >= 0)) {
+      errors.push('Outlier shift must be 0 or more');
+    }
+    if (!Number.isInteger(seed)) {
+      errors.push('Seed must be a whole number');
+    }
+    if (!isCount(batch.nSimulations, 1, 10000)) {
+      errors.push('Datasets must be a whole number from 1 to 10000');
+    }
+    this.showSimulationErrors(errors);
+    if (!errors.length) {
+      const sim = this.config.simulation;
+      sim.model = model;
+      sim.params[model] = params.slice();
+      sim.doses = { ...spec.doses };
+      sim.replicates = spec.replicates;
+      sim.noise = { ...spec.noise };
+      sim.seed = seed;
+      sim.batch = { ...batch };
+    }
+    return { spec, seed, batch, errors };
+  }
+
+  showSimulationErrors(errors) {
+    const list = document.getElementById('simErrors');
+    list.innerHTML = '';
+    for (const message of errors) {
+      const li = document.createElement('li');
+      li.textContent = message;
+      list.appendChild(li);
+    }
+  }
+
+  // Replace the active curve's points with a simulated dataset, fitted with the generating model
+  generateSimulation() {
+    const { spec, seed, errors } = this.collectSimulation();
+    if (errors.length) {
+      return;
+    }
+    this.simulationJob = null;
+    document.getElementById('simulateDialog').hidden = true;
+    const curve = this.activeCurve;
+    curve.dataPoints = DDRSimulate.generate(spec, DDRModels.createRng(seed));
+    curve.fitType = spec.model;
+    curve.truth = { model: spec.model, params: spec.params.slice() };
+    this.fitCurve(curve);
+    this.setActiveCurve(curve.id);
+    this.recordHistory('Simulate data');
+  }
+
+  // Seeded batch of simulated datasets, fitted under every checked loss × optimizer pair. Pumped
+  // in short slices like runBootstrap; a second click cancels.
+  runSimulationBatch() {
+    if (this.simulationJob) {
+      this.simulationJob = null;
+      this.renderSimulationBatch();
+      return;
+    }
+    const { spec, seed, batch, errors } = this.collectSimulation();
+    if (errors.length) {
+      return;
+    }
+    const settings = batch.losses.flatMap((loss) =>
+      batch.methods.map((method) => ({ loss, method }))
+    );
+    if (!settings.length) {
+      this.showSimulationErrors(['Check at least one loss and one optimizer']);
+      return;
+    }
+    const job = {
+      progress: { done: 0, total: batch.nSimulations },
+      iterator: DDRSimulate.batchIterator(spec, settings, this.config, {
+        nSimulations: batch.nSimulations,
+        seed,
+      }),
+    };
+    this.simulationJob = job;
+    this.simulationBatch = null;
+    const pump = () => {
+      if (this.simulationJob !== job) {
+        return;
+      }
+      const deadline = Date.now() + 30;
+      let step;
+      do {
+        step = job.iterator.next();
+      } while (!step.done && Date.now() < deadline);
+      if (step.done) {
+        this.simulationBatch = step.value;
+        this.simulationJob = null;
+      } else {
+        job.progress = step.value;
+        setTimeout(pump, 0);
+      }
+      this.renderSimulationBatch();
+    };
+    this.renderSimulationBatch();
+    setTimeout(pump, 0);
+  }
+
+  // Bias and RMSE of the last batch run, one row per setting and parameter
+  renderSimulationBatch() {
+    const job = this.simulationJob;
+    const result = this.simulationBatch;
+    document.getElementById('simBatchBtn').textContent = job ? 'Cancel batch' : 'Run batch';
+    const note = document.getElementById('simBatchNote');
+    const tbody = document.getElementById('simBatchBody');
+    tbody.innerHTML = '';
+    document.getElementById('simBatchTable').hidden = !result || !!job;
+    if (job) {
+      note.textContent = `Simulating… ${job.progress.done}/${job.progress.total}`;
+      return;
+    }
+    note.textContent = '';
+    if (!result) {
+      return;
+    }
+    const fmt = (v) => {
+      if (v === null || !isFinite(v)) {
+        return '--';
+      }
+      return Math.abs(v) >= 1e3 || (v !== 0 && Math.abs(v) < 1e-2)
+        ? v.toExponential(2)
+        : v.toFixed(3);
+    };
+    const methods = this.optimizerMethods();
+    for (const s of result.settings) {
+      s.params.forEach((p, i) => {
+        const row = tbody.insertRow();
+        if (i === 0) {
+          const cell = row.insertCell();
+          cell.rowSpan = s.params.length;
+          cell.textContent =
+            `${DDRModels.LOSSES[s.loss].label} / ${methods[s.method] || s.method}` +
+            (s.failed ? ` (${s.failed} failed)` : '');
+        }
+        row.insertCell().textContent = p.log ? `log10 ${p.name}` : p.name;
+        row.insertCell().textContent = fmt(p.bias);
+        row.insertCell().textContent = fmt(p.rmse);
+        row.insertCell().textContent = p.relRmse === null ? '--' : p.relRmse.toFixed(1);
+      });
+    }
+    note.textContent =
+      `${result.nSimulations} datasets, seed ${result.seed}. Bias and RMSE of fitted − true; ` +
+      'log-scale parameters as log10(fitted / true)';
+  }
+
+  // Clicking empty plot space adds a point; clicks on a point edit it instead
+  onCanvasClick(event) {
+    if (this.suppressClick) {
+      this.suppressClick = false;
+      return;
+    }
+    if (this.combination) {
+      return;
+    }
+    const { x, y } = this.canvasPosition(event);
+    const hit = this.hitTestPoint(x, y);
+    if (hit) {
+      if (event.shiftKey) {
+        this.deletePoint(hit);
+      } else if (event.altKey) {
+        this.toggleExcluded(hit);
+      }
+      return;
+    }
+
+    const concentration = this.pixelToConcentration(x);
+    const viability = this.pixelToViability(y);
+
+    const r5 = (v) => Math.round(v * 1e5) / 1e5;
+    this.dataPoints.push({ concentration: r5(concentration), viability: r5(viability) });
+    this.updateStats();
+    this.fitCurve();
+    this.draw();
+    this.recordHistory('Add point');
+  }
+
+  canvasPosition(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  // Active-curve point drawn under (x, y), or null. Only raw points are hit-tested; with
+  // display 'mean' they are not drawn.
+  hitTestPoint(x, y) {
+    if (this.config.replicates.display === 'mean' || this.combination) {
+      return null;
+    }
+    const radius = 8;
+    let best = null;
+    let bestDist = radius;
+    for (const p of this.dataPoints) {
+      const dx = this.concentrationToPixel(p.concentration) - x;
+      const dy = this.viabilityToPixel(p.viability) - y;
+      const dist = Math.hypot(dx, dy);
+      if (dist <= bestDist) {
+        best = p;
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  onCanvasMouseDown(event) {
+    this.suppressClick = false;
+    if (event.button !== 0 || event.shiftKey || event.altKey) {
+      return;
+    }
+    const { x, y } = this.canvasPosition(event);
+    const point = this.hitTestPoint(x, y);
+    if (point) {
+      this.drag = { point, curve: this.activeCurve, x, y, moved: false };
+    }
+  }
+
+  onCanvasHover(event) {
+    if (this.drag) {
+      return;
+    }
+    const { x, y } = this.canvasPosition(event);
+    this.canvas.style.cursor = this.hitTestPoint(x, y) ? 'move' : '';
+  }
+
+  // Dragging only redraws; the curve is refitted once on release
+  onDragMove(event) {
+    const drag = this.drag;
+    if (!drag) {
+      return;
+    }
+    const { x, y } = this.canvasPosition(event);
+    if (!drag.moved && Math.hypot(x - drag.x, y - drag.y) < 3) {
+      return;
+    }
+    drag.moved = true;
+    const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+    const px = clamp(x, 60, this.canvas.width - 60);
+    const py = clamp(y, 40, this.canvas.height - 40);
+    const r5 = (v) => Math.round(v * 1e5) / 1e5;
+    drag.point.concentration = r5(this.pixelToConcentration(px));
+    drag.point.viability = r5(this.pixelToViability(py));
+    this.draw();
+  }
+
+  onDragEnd() {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag || !drag.moved) {
+      return;
+    }
+    this.suppressClick = true; // the click that ends a drag must not add a point
+    this.afterPointEdit('Move point', drag.curve);
+  }
+
+  onCanvasContextMenu(event) {
+    const { x, y } = this.canvasPosition(event);
+    const point = this.hitTestPoint(x, y);
+    if (!point) {
+      return;
+    }
+    event.preventDefault();
+    this.openPointMenu(point, x, y);
+  }
+
+  openPointMenu(point, x, y) {
+    const menu = document.getElementById('pointMenu');
+    this.menuPoint = point;
+    menu.querySelector('[data-action="exclude"]').textContent = point.excluded
+      ? 'Include in fit'
+      : 'Exclude from fit';
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+    menu.hidden = false;
+  }
+
+  closePointMenu() {
+    document.getElementById('pointMenu').hidden = true;
+    this.menuPoint = null;
+  }
+
+  // Point edits (canvas and data table) act on the active curve and refit it
+  deletePoint(point) {
+    const idx = this.dataPoints.indexOf(point);
+    if (idx < 0) {
+      return;
+    }
+    this.dataPoints.splice(idx, 1);
+    this.afterPointEdit('Delete point');
+  }
+
+  toggleExcluded(point) {
+    if (point.excluded) {
+      delete point.excluded;
+    } else {
+      point.excluded = true;
+    }
+    this.afterPointEdit(point.excluded ? 'Exclude point' : 'Include point');
+  }
+
+  // Own fit weight of a point ('user' weighting), typed into the data table
+  setPointWeight(point, input) {
+    const value = DDRImport.parseNumber(input.value);
+    if (!(value >= 0) || !isFinite(value)) {
+      input.value = point.weight ?? 1;
+      return;
+    }
+    if (value === (point.weight ?? 1)) {
+      return;
+    }
+    point.weight = value;
+    this.afterPointEdit('Set point weight');
+  }
+
+  editPoint(point) {
+    const input = prompt(
+      `Concentration (${this.unitLabel()}), Viability (%)`,
+      `${this.formatConcentration(point.concentration)}, ${point.viability}`
+    );
+    if (input === null) {
+      return;
+    }
+    const [conc, viab] = input
+      .split(/[,;\s]+/)
+      .filter(Boolean)
+      .map(DDRImport.parseNumber);
+    if (!(conc > 0) || !isFinite(viab)) {
+      alert('Enter a concentration > 0 and a viability, separated by a comma.');
+      return;
+    }
+    point.concentration = conc * this.unitFactor();
+    point.viability = viab;
+    this.afterPointEdit('Edit point');
+  }
+
+  afterPointEdit(label, curve = this.activeCurve) {
+    this.fitCurve(curve);
+    this.draw();
+    this.recordHistory(label);
+  }
+
+  // --- Undo / redo ---
+  // Each user action ends with recordHistory(), which appends a snapshot of everything the user
+  // can change: curves with their points, fit type and loss, and the replicate and band settings.
+  // Fit state is not stored; restoring refits through fitCurve, which hits the fit cache.
+  captureState() {
+    return {
+      curves: this.curves.map((c) => ({
+        id: c.id,
+        name: c.name,
+        color: c.color,
+        fitType: c.fitType,
+        algorithm: c.algorithm,
+        dataPoints: c.dataPoints.map((p) => ({ ...p })),
+        truth: c.truth,
+      })),
+      activeCurveId: this.activeCurveId,
+      curveSeq: this.curveSeq,
+      replicates: { ...this.config.replicates },
+      bands: { ...this.config.bands },
+      axes: { ...this.config.axes },
+      figure: { ...this.config.figure },
+      metrics: JSON.parse(JSON.stringify(this.config.metrics)),
+      emaxMode: this.config.fitting.emaxMode,
+      combination: this.combination,
+      synergy: { ...this.config.synergy },
+      settings: DDRSettings.read(this.config),
+    };
+  }
+
+  recordHistory(label) {
+    this.history.splice(this.historyIndex + 1);
+    this.history.push({ label, state: this.captureState() });
+    if (this.history.length > this.config.history.limit) {
+      this.history.shift();
+    }
+    this.historyIndex = this.history.length - 1;
+    this.updateHistoryButtons();
+    this.scheduleAutosave();
+  }
+
+  undo() {
+    if (this.historyIndex <= 0) {
+      return;
+    }
+    this.historyIndex--;
+    this.restoreState(this.history[this.historyIndex].state);
+  }
+
+  redo() {
+    if (this.historyIndex >= this.history.length - 1) {
+      return;
+    }
+    this.historyIndex++;
+    this.restoreState(this.history[this.historyIndex].state);
+  }
+
+  restoreState(state) {
+    this.cancelBootstrap();
+    this.drag = null;
+    this.closePointMenu();
+    this.fitQueue.clear();
+    if (this.fitInFlight) {
+      this.cancelFitWorker();
+    }
+    Object.assign(this.config.replicates, state.replicates);
+    Object.assign(this.config.bands, state.bands);
+    Object.assign(this.config.axes, state.axes);
+    Object.assign(this.config.figure, state.figure);
+    Object.assign(this.config.metrics, JSON.parse(JSON.stringify(state.metrics)));
+    this.config.fitting.emaxMode = state.emaxMode;
+    Object.assign(this.config.synergy, state.synergy);
+    DDRSettings.write(this.config, state.settings);
+    this.combination = state.combination;
+    this.curves = state.curves.map((c) =>
+      this.createCurve({ ...c, dataPoints: c.dataPoints.map((p) => ({ ...p })) })
+    );
+    this.curveSeq = state.curveSeq;
+    this.activeCurveId = state.activeCurveId;
+    this.curves.forEach((c) => this.fitCurve(c));
+    this.syncToggles();
+    this.updateStats();
+    this.draw();
+    this.updateHistoryButtons();
+    this.scheduleAutosave();
+  }
+
+  // --- Settings drawer: schema-checked editing of the fitting config (see settings.js) ---
+  setupSettings() {
+    const drawer = document.getElementById('settingsDrawer');
+    const container = document.getElementById('settingsFields');
+    for (const section of DDRSettings.SCHEMA) {
+      const fieldset = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = section.title;
+      fieldset.appendChild(legend);
+      for (const field of section.fields) {
+        const label = document.createElement('label');
+        let input;
+        if (field.type === 'select') {
+          input = document.createElement('select');
+          for (const [value, text] of Object.entries(field.options)) {
+            input.add(new Option(text, value));
+          }
+        } else {
+          input = document.createElement('input');
+          input.type = { boolean: 'checkbox', list: 'text' }[field.type] || 'number';
+          if (input.type === 'number') {
+            input.step = field.type === 'integer' ? '1' : 'any';
+            input.min = field.min;
+            input.max = field.max;
+          }
+        }
+        input.dataset.path = field.path;
+        input.addEventListener('change', () => this.collectSettings());
+        if (field.type === 'boolean') {
+          label.className = 'inline-check';
+          label.append(input, ` ${field.label}`);
+        } else {
+          label.append(field.label, input);
+        }
+        if (field.type === 'list') {
+          label.title = `Comma-separated, ${field.min}–${field.max} each`;
+        }
+        fieldset.appendChild(label);
+      }
+      container.appendChild(fieldset);
+    }
+
+    const presetSelect = document.getElementById('settingsPreset');
+    for (const [name, preset] of Object.entries(DDRSettings.PRESETS)) {
+      presetSelect.add(new Option(preset.label, name));
+    }
+    document.getElementById('settingsPresetBtn').addEventListener('click', () => {
+      this.fillSettings(DDRSettings.presetValues(presetSelect.value, this.defaultConfig));
+      this.collectSettings();
+    });
+
+    const fileInput = document.getElementById('settingsFileInput');
+    document.getElementById('settingsBtn').addEventListener('click', () => this.openSettings());
+    document.getElementById('settingsCancelBtn').addEventListener('click', () => {
+      drawer.hidden = true;
+    });
+    document.getElementById('settingsApplyBtn').addEventListener('click', () => {
+      const { values, errors } = this.collectSettings();
+      if (errors.length) {
+        return;
+      }
+      drawer.hidden = true;
+      this.applySettings(values, 'Change settings');
+    });
+    document.getElementById('settingsExportBtn').addEventListener('click', () => {
+      const json = JSON.stringify(DDRSession.pickConfig(this.config), null, 2);
+      this.download(json, 'application/json', 'ddr_config.json');
+    });
+    document.getElementById('settingsImportBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length) {
+        this.importSettingsFile(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+  }
+
+  openSettings() {
+    this.fillSettings(DDRSettings.read(this.config));
+    this.showSettingsErrors([]);
+    document.getElementById('settingsDrawer').hidden = false;
+  }
+
+  fillSettings(values) {
+    for (const input of document.querySelectorAll('#settingsFields [data-path]')) {
+      const value = values[input.dataset.path];
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = Array.isArray(value) ? value.join(', ') : value;
+      }
+    }
+  }
+
+  // Read and check the form; invalid inputs are outlined and every problem is listed
+  collectSettings() {
+    const values = {};
+    const errors = [];
+    const byPath = new Map(DDRSettings.FIELDS.map((f) => [f.path, f]));
+    for (const input of document.querySelectorAll('#settingsFields [data-path]')) {
+      const field = byPath.get(input.dataset.path);
+      const parsed = DDRSettings.parseInput(
+        field,
+        input.type === 'checkbox' ? input.checked : input.value
+      );
+      if (parsed.error) {
+        errors.push({ path: field.path, message: `${field.label}: ${parsed.error}` });
+      } else {
+        values[field.path] = parsed.value;
+      }
+    }
+    if (!errors.length) {
+      errors.push(...DDRSettings.validate(values));
+    }
+    this.showSettingsErrors(errors);
+    return { values, errors };
+  }
+
+  showSettingsErrors(errors) {
+    const bad = new Set(errors.map((e) => e.path));
+    for (const input of document.querySelectorAll('#settingsFields [data-path]')) {
+      input.classList.toggle('invalid', bad.has(input.dataset.path));
+    }
+    const list = document.getElementById('settingsErrors');
+    list.innerHTML = '';
+    for (const err of errors) {
+      const li = document.createElement('li');
+      li.textContent = err.message;
+      list.appendChild(li);
+    }
+    document.getElementById('settingsApplyBtn').disabled = errors.length > 0;
+  }
+
+  // Write checked schema values into the config and refit every curve
+  applySettings(values, label) {
+    DDRSettings.write(this.config, values);
+    this.curves.forEach((c) => this.fitCurve(c));
+    this.syncToggles();
+    this.updateStats();
+    this.draw();
+    this.recordHistory(label);
+  }
+
+  // A config JSON (as exported) is merged over a copy of the current config and applied only
+  // when every schema entry passes; entries outside DDRSession.CONFIG_PATHS are ignored
+  importSettingsFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let data;
+      try {
+        data = JSON.parse(String(reader.result));
+      } catch (err) {
+        this.showSettingsErrors([{ path: null, message: `Invalid JSON: ${err.message}` }]);
+        return;
+      }
+      if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        this.showSettingsErrors([{ path: null, message: 'Expected a JSON object of settings' }]);
+        return;
+      }
+      const merged = JSON.parse(JSON.stringify(this.config));
+      const ignored = DDRSession.mergeConfig(merged, data);
+      const errors = DDRSettings.validate(DDRSettings.read(merged));
+      if (errors.length) {
+        this.showSettingsErrors([
+          { path: null, message: `${file.name} was not applied:` },
+          ...errors,
+        ]);
+        return;
+      }
+      DDRSession.mergeConfig(this.config, data);
+      this.fillSettings(DDRSettings.read(this.config));
+      this.showSettingsErrors([]);
+      this.applySettings({}, `Import settings from ${file.name}`);
+      if (ignored.length) {
+        alert(`${file.name} was applied, ignoring these settings: ${ignored.join(', ')}`);
+      }
+    };
+    reader.onerror = () => alert(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  }
+
+  // --- Sessions: JSON files, localStorage autosave and share links (see session.js) ---
+  setupSession() {
+    const fileInput = document.getElementById('sessionFileInput');
+    document.getElementById('saveSessionBtn').addEventListener('click', () => this.saveSession());
+    document.getElementById('openSessionBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if (fileInput.files.length) {
+        this.openSessionFile(fileInput.files[0]);
+      }
+      fileInput.value = '';
+    });
+    document.getElementById('copyLinkBtn').addEventListener('click', () => this.copySessionLink());
+  }
+
+  serializeSession(options = {}) {
+    const state = {
+      curves: this.curves,
+      activeCurveId: this.activeCurveId,
+      config: this.config,
+      combination: this.combination,
+    };
+    return DDRSession.serialize(state, { ...options, defaults: this.defaultConfig });
+  }
+
+  // Replace the current state with a validated session. Its settings are checked against the
+  // settings schema first, as for imported settings files; when they fail nothing is loaded.
+  // Saved fits are applied as stored, with metrics and covariance recomputed from their
+  // parameters, so curves look exactly as saved; Auto curves are refitted to recover the
+  // model-selection evidence. Returns the settings errors (empty when the session was loaded).
+  loadSession(session) {
+    const merged = JSON.parse(JSON.stringify(this.config));
+    DDRSession.mergeConfig(merged, session.config);
+    const errors = DDRSettings.validate(DDRSettings.read(merged));
+    if (errors.length) {
+      return errors.map((e) => `config: ${e.message}`);
+    }
+    const ignored = DDRSession.mergeConfig(this.config, session.config);
+    const curves = session.curves.map((c) => ({
+      id: c.id,
+      name: c.name,
+      color: c.color,
+      fitType: c.fitType,
+      algorithm: c.algorithm,
+      dataPoints: c.dataPoints,
+      truth: c.truth || null,
+    }));
+    session.curves.forEach((c, i) => {
+      const fc = c.fittedCurve;
+      if (!fc || c.fitType === 'auto' || fc.type !== c.fitType) {
+        return;
+      }
+      const points = this.getSortedDataPoints(curves[i]);
+      const request = { fitType: c.fitType, algorithm: c.algorithm, points };
+      const fitPoints = DDRModels.fitPointsForMode(points, this.config);
+      const result = DDRModels.evaluateFit(fc, fitPoints, this.config, c.algorithm);
+      result.diagnostics = DDRModels.fitDiagnostics(fc, points, this.config, c.algorithm);
+      this.cacheFit(this.fitCacheKey(request), result);
+    });
+    this.restoreState({
+      curves,
+      activeCurveId: session.activeCurveId,
+      curveSeq: Math.max(...curves.map((c) => c.id)),
+      replicates: { ...this.config.replicates },
+      bands: { ...this.config.bands },
+      axes: { ...this.config.axes },
+      figure: { ...this.config.figure },
+      metrics: JSON.parse(JSON.stringify(this.config.metrics)),
+      emaxMode: this.config.fitting.emaxMode,
+      combination: session.combination,
+      synergy: { ...this.config.synergy },
+      settings: DDRSettings.read(this.config),
+    });
+    if (ignored.length) {
+      alert(`The session was opened, ignoring these settings: ${ignored.join(', ')}`);
+    }
+    return [];
+  }
+
+  saveSession() {
+    const json = JSON.stringify(this.serializeSession(), null, 2);
+    this.download(json, 'application/json', 'dose_response_session.json');
+  }
+
+  openSessionFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { session, errors } = DDRSession.parse(String(reader.result));
+      const problems = session ? this.loadSession(session) : errors;
+      if (problems.length) {
+        alert(`Could not open ${file.name}:\n${problems.slice(0, 10).join('\n')}`);
+        return;
+      }
+      this.recordHistory('Open session');
+    };
+    reader.onerror = () => alert(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  }
+
+  // Small sessions only: the link holds the whole session, with settings as a diff to defaults
+  copySessionLink() {
+    const fragment = DDRSession.encodeLink(this.serializeSession({ compact: true }));
+    const max = this.config.session.maxLinkLength;
+    if (fragment.length > max) {
+      alert(
+        `This session is too large for a link (${fragment.length} characters, limit ${max}). ` +
+          'Use "Save Session" to share it as a file.'
+      );
+      return;
+    }
+    const url = `${location.href.split('#')[0]}#${fragment}`;
+    const btn = document.getElementById('copyLinkBtn');
+    const copied = () => {
+      btn.textContent = 'Link copied';
+      setTimeout(() => (btn.textContent = 'Copy Link'), 1500);
+    };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(copied, () => prompt('Copy this link', url));
+    } else {
+      prompt('Copy this link', url);
+    }
+  }
+
+  // A session in the URL hash wins over the autosaved one. The hash is cleared once read so
+  // later edits autosave and a reload shows them.
+  restoreStartupSession() {
+    const fromLink = DDRSession.decodeLink(location.hash);
+    if (fromLink) {
+      try {
+        window.history.replaceState(null, '', location.pathname + location.search);
+      } catch (err) {
+        // some browsers refuse history updates on file:// pages; the hash then simply stays
+      }
+      const problems = fromLink.session ? this.loadSession(fromLink.session) : fromLink.errors;
+      if (!problems.length) {
+        return;
+      }
+      alert(`Could not open the shared session:\n${problems.slice(0, 10).join('\n')}`);
+    }
+    if (!this.config.session.autosave) {
+      return;
+    }
+    let saved = null;
+    try {
+      saved = localStorage.getItem(this.config.session.storageKey);
+    } catch (err) {
+      return; // storage unavailable (privacy settings, some file:// setups)
+    }
+    // An autosave that no longer loads (e.g. settings outside newer limits) is dropped quietly;
+    // the next change overwrites it
+    const { session } = saved ? DDRSession.parse(saved) : {};
+    if (session) {
+      this.loadSession(session);
+    }
+  }
+
+  scheduleAutosave() {
+    if (!this.config.session.autosave) {
+      return;
+    }
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = setTimeout(() => {
+      try {
+        localStorage.setItem(
+          this.config.session.storageKey,
+          JSON.stringify(this.serializeSession())
+        );
+      } catch (err) {
+        // storage unavailable or full; autosave is best-effort
+      }
+    }, 300);
+  }
+
+  updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const undoEntry = this.historyIndex > 0 ? this.history[this.historyIndex] : null;
+    const redoEntry = this.history[this.historyIndex + 1] || null;
+    undoBtn.disabled = !undoEntry;
+    redoBtn.disabled = !redoEntry;
+    undoBtn.title = undoEntry ? `Undo ${undoEntry.label.toLowerCase()} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    redoBtn.title = redoEntry
+      ? `Redo ${redoEntry.label.toLowerCase()} (Ctrl+Shift+Z)`
+      : 'Redo (Ctrl+Shift+Z)';
+  }
+
+  // Axis limits (log10 µM and %) from config.axes; with autoRange the concentration axis spans
+  // whole decades around all curves' data, at least two of them. Recomputed on every draw so
+  // clicks map through the axes currently shown.
+  updateAxisRange() {
+    const axes = this.config.axes;
+    let logMin = Math.log10(axes.concMin);
+    let logMax = Math.log10(axes.concMax);
+    const concs = this.curves.flatMap((c) => c.dataPoints.map((p) => p.concentration));
+    if (axes.autoRange && concs.length) {
+      logMin = Math.floor(Math.log10(Math.min(...concs)));
+      logMax = Math.ceil(Math.log10(Math.max(...concs)));
+      const pad = Math.max(0, 2 - (logMax - logMin)) / 2;
+      logMin -= Math.ceil(pad);
+      logMax += Math.floor(pad);
+    }
+    this.axisRange = { logMin, logMax, viabMin: axes.viabilityMin, viabMax: axes.viabilityMax };
+  }
+
+  // Coordinate transforms
+  pixelToConcentration(x) {
+    const padding = 60;
+    const plotWidth = this.canvas.width - 2 * padding;
+    const { logMin, logMax } = this.axisRange;
+    const logValue = logMin + ((x - padding) / plotWidth) * (logMax - logMin);
+    return Math.pow(10, logValue);
+  }
+  pixelToViability(y) {
+    const padding = 40;
+    const plotHeight = this.canvas.height - 2 * padding;
+    const { viabMin, viabMax } = this.axisRange;
+    return viabMin + (1 - (y - padding) / plotHeight) * (viabMax - viabMin);
+  }
+  concentrationToPixel(concentration) {
+    const padding = 60;
+    const plotWidth = this.canvas.width - 2 * padding;
+    const { logMin, logMax } = this.axisRange;
+    const logValue = Math.log10(concentration);
+    return padding + ((logValue - logMin) / (logMax - logMin)) * plotWidth;
+  }
+  viabilityToPixel(viability) {
+    const padding = 40;
+    const plotHeight = this.canvas.height - 2 * padding;
+    const { viabMin, viabMax } = this.axisRange;
+    return padding + (1 - (viability - viabMin) / (viabMax - viabMin)) * plotHeight;
+  }
+
+  // Tick positions: whole decades (thinned to at most ~10 labels) and a 1-2-2.5-5 viability
+  // step giving at most four intervals
+  axisTicks() {
+    const { logMin, logMax, viabMin, viabMax } = this.axisRange;
+    const decadeStep = Math.max(1, Math.ceil((logMax - logMin) / 10));
+    const conc = [];
+    for (let d = Math.ceil(logMin); d <= Math.floor(logMax) + 1e-9; d += decadeStep) {
+      conc.push(d);
+    }
+    const span = viabMax - viabMin;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(span)) - 1);
+    const step = [1, 2, 2.5, 5, 10, 20, 25, 50, 100]
+      .map((m) => m * magnitude)
+      .find((st) => span / st <= 4 + 1e-9);
+    const viability = [];
+    for (let v = Math.ceil(viabMin / step) * step; v <= viabMax + 1e-9; v += step) {
+      viability.push(+v.toPrecision(12));
+    }
+    return { conc, viability };
+  }
+
+  // Fitting (defaults to the active curve). Runs in the fit worker when available: a newer
+  // request for a curve replaces its queued one or terminates the worker if it is already
+  // running, and results are applied only if the curve's revision still matches.
+  fitCurve(curve = this.activeCurve) {
+    curve.revision++;
+    curve.bootstrap = null;
+    curve.covariance = null;
+    curve.modelSelection = null;
+    curve.diagnostics = null;
+    this.fitQueue.delete(curve);
+    if (this.fitInFlight && this.fitInFlight.curve === curve) {
+      this.cancelFitWorker();
+    }
+    if (DDRModels.includedPoints(curve.dataPoints).length < this.config.fitting.minPointsForFit) {
+      curve.fitting = false;
+      curve.fittedCurve = null;
+      curve.metrics = emptyMetrics();
+      this.updateStats();
+      return;
+    }
+    const request = {
+      curve,
+      revision: curve.revision,
+      fitType: curve.fitType,
+      points: this.getSortedDataPoints(curve),
+      algorithm: curve.algorithm,
+    };
+    request.key = this.fitCacheKey(request);
+    const cached = this.fitCache.get(request.key);
+    if (cached) {
+      this.applyFit(request, { result: cached });
+      return;
+    }
+    if (!this.getFitWorker()) {
+      this.applyFit(request, { result: this.fitOnMainThread(request) });
+      return;
+    }
+    curve.fitting = true;
+    this.fitQueue.set(curve, request);
+    this.dispatchFit();
+    this.updateStats();
+  }
+
+  // Everything that determines a fit result; display-only settings are left out
+  fitCacheKey(request) {
+    const {
+      rendering,
+      bands,
+      replicates,
+      history,
+      session,
+      axes,
+      figure,
+      plate,
+      synergy,
+      simulation,
+      ...fitConfig
+    } = this.config;
+    delete fitConfig.metrics; // see metricsKey
+    fitConfig.fitting = { ...fitConfig.fitting, emaxMode: undefined };
+    const points = request.points.map((p) => [
+      p.concentration,
+      p.viability,
+      p.excluded ? 1 : 0,
+      p.weight ?? 1,
+    ]);
+    return JSON.stringify([
+      request.fitType,
+      request.algorithm,
+      points,
+      replicates.fitOn,
+      replicates.doseTolerance,
+      fitConfig,
+    ]);
+  }
+
+  // Settings that change only the metrics derived from a fit, not the fit itself. They are left
+  // out of fitCacheKey; results carry the metricsKey they were computed with, and metrics from
+  // another one are recomputed by refreshMetrics.
+  metricsKey() {
+    const { display, ...metrics } = this.config.metrics; // display only picks table columns
+    return JSON.stringify([this.config.fitting.emaxMode, metrics]);
+  }
+
+  // Recompute a curve's metrics from its current fit, e.g. after the Emax mode, the AUC / DSS
+  // range or the IC-x / EC-x levels changed. The fit, its covariance and bootstrap stay, and the
+  // fit cache entry is updated to match.
+  refreshMetrics(curve) {
+    if (!curve.fittedCurve || curve.fitting) {
+      return;
+    }
+    const points = this.getSortedDataPoints(curve);
+    const fitPoints = DDRModels.fitPointsForMode(points, this.config);
+    const metricsKey = this.metricsKey();
+    curve.metrics = DDRModels.evaluateFit(
+      curve.fittedCurve,
+      fitPoints,
+      this.config,
+      curve.algorithm
+    ).metrics;
+    const key = this.fitCacheKey({ fitType: curve.fitType, algorithm: curve.algorithm, points });
+    const cached = this.fitCache.get(key);
+    if (cached) {
+      this.cacheFit(key, { ...cached, metrics: curve.metrics, metricsKey });
+    }
+  }
+
+  // Most recently used results are kept, up to config.history.fitCacheSize. Results without a
+  // metricsKey were computed just now, with the current one.
+  cacheFit(key, result) {
+    const { fittedCurve, metrics, modelSelection, covariance, diagnostics } = result;
+    const metricsKey = result.metricsKey ?? this.metricsKey();
+    this.fitCache.delete(key);
+    this.fitCache.set(key, {
+      fittedCurve,
+      metrics,
+      modelSelection,
+      covariance,
+      diagnostics,
+      metricsKey,
+    });
+    if (this.fitCache.size > this.config.history.fitCacheSize) {
+      this.fitCache.delete(this.fitCache.keys().next().value);
+    }
+  }
+
+  fitOnMainThread(request) {
+    return DDRModels.fitDataset(request.fitType, request.points, this.config, request.algorithm);
+  }
+
+  getFitWorker() {
+    if (this.fitWorker !== undefined) {
+      return this.fitWorker;
+    }
+    this.fitWorker = null;
+    if (!this.config.fitting.useWorker || typeof Worker === 'undefined') {
+      return null;
+    }
+    try {
+      const worker = new Worker(this.config.fitting.workerUrl);
+      worker.onmessage = (e) => this.onFitMessage(e.data);
+      worker.onerror = (e) => this.onFitWorkerError(e);
+      this.fitWorker = worker;
+    } catch (err) {
+      console.warn('Fit worker unavailable, fitting on the main thread:', err);
+    }
+    return this.fitWorker;
+  }
+
+  // A synchronous fit cannot be interrupted, so cancelling means replacing the worker
+  cancelFitWorker() {
+    this.fitWorker.terminate();
+    this.fitWorker = undefined;
+    this.fitInFlight = null;
+  }
+
+  // Send the oldest queued request, skipping curves that were removed or refitted since
+  dispatchFit() {
+    if (this.fitInFlight) {
+      return;
+    }
+    for (const [curve, request] of this.fitQueue) {
+      this.fitQueue.delete(curve);
+      if (!this.curves.includes(curve) || curve.revision !== request.revision) {
+        continue;
+      }
+      const worker = this.getFitWorker();
+      if (!worker) {
+        this.applyFit(request, { result: this.fitOnMainThread(request) });
+        continue;
+      }
+      this.fitInFlight = { ...request, seq: ++this.fitSeq, metricsKey: this.metricsKey() };
+      worker.postMessage({
+        seq: this.fitSeq,
+        fitType: request.fitType,
+        points: request.points,
+        config: this.config,
+        algorithm: request.algorithm,
+      });
+      return;
+    }
+  }
+
+  onFitMessage(message) {
+    const request = this.fitInFlight;
+    if (!request || message.seq !== request.seq) {
+      return;
+    }
+    this.fitInFlight = null;
+    if (message.result) {
+      message.result.metricsKey = request.metricsKey;
+    }
+    this.applyFit(request, message);
+    this.dispatchFit();
   }
 
-  onCanvasClick(event) {
-    const rect = this.canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
-
-    const concentration = this.pixelToConcentration(x);
-    const viability = this.pixelToViability(y);
+  // The worker script failed to load (e.g. file:// in some browsers): fall back for good
+  onFitWorkerError(event) {
+    if (event.preventDefault) {
+      event.preventDefault();
+    }
+    console.warn('Fit worker failed, fitting on the main thread:', event.message);
+    this.fitWorker.terminate();
+    this.fitWorker = null;
+    const request = this.fitInFlight;
+    this.fitInFlight = null;
+    if (request) {
+      this.fitQueue = new Map([[request.curve, request], ...this.fitQueue]);
+    }
+    this.dispatchFit();
+  }
 
-    const r5 = (v) => Math.round(v * 1e5) / 1e5;
-    this.dataPoints.push({ concentration: r5(concentration), viability: r5(viability) });
+  applyFit(request, { result, error }) {
+    const curve = request.curve;
+    if (!this.curves.includes(curve) || curve.revision !== request.revision) {
+      return;
+    }
+    curve.fitting = false;
+    if (error) {
+      console.error('Fit failed:', error);
+    }
+    if (result) {
+      this.cacheFit(request.key, result);
+    }
+    this.scheduleAutosave();
+    curve.fittedCurve = result ? result.fittedCurve : null;
+    curve.metrics = result ? result.metrics : emptyMetrics();
+    curve.modelSelection = result ? result.modelSelection : null;
+    curve.covariance = result ? result.covariance : null;
+    // Diagnostics follow the order of request.points; keep those objects so flags stay attached
+    // to their points while they are dragged
+    curve.diagnostics =
+      result && result.diagnostics ? { ...result.diagnostics, dataPoints: request.points } : null;
+    // Cached or worker results may predate a metric-only settings change
+    if (result && result.metricsKey !== undefined && result.metricsKey !== this.metricsKey()) {
+      this.refreshMetrics(curve);
+    }
     this.updateStats();
-    this.fitCurve();
     this.draw();
   }
 
-  // Coordinate transforms
-  pixelToConcentration(x) {
-    const padding = 60;
-    const plotWidth = this.canvas.width - 2 * padding;
-    const logMin = -3;
-    const logMax = 2;
-    const logValue = logMin + ((x - padding) / plotWidth) * (logMax - logMin);
-    return Math.pow(10, logValue);
-  }
-  pixelToViability(y) {
-    const padding = 40;
-    const plotHeight = this.canvas.height - 2 * padding;
-    return 100 * (1 - (y - padding) / plotHeight);
-  }
-  concentrationToPixel(concentration) {
-    const padding = 60;
-    const plotWidth = this.canvas.width - 2 * padding;
-    const logMin = -3;
-    const logMax = 2;
-    const logValue = Math.log10(concentration);
-    return padding + ((logValue - logMin) / (logMax - logMin)) * plotWidth;
-  }
-  viabilityToPixel(viability) {
-    const padding = 40;
-    const plotHeight = this.canvas.height - 2 * padding;
-    return padding + (1 - viability / 100) * plotHeight;
-  }
-
-  // Fitting
-  fitCurve() {
-    if (this.dataPoints.length < this.config.fitting.minPointsForFit) {
-      this.fittedCurve = null;
+  // Bootstrap CIs for a curve's current fit. The resampling runs in a worker of its own (the fit
+  // worker script), so fits keep going meanwhile; without workers the generator is pumped in
+  // short slices on timers so the page stays responsive. A second click cancels, and a refit
+  // discards the run.
+  runBootstrap(curve = this.activeCurve) {
+    if (this.bootstrapJob) {
+      this.cancelBootstrap();
       this.updateStats();
       return;
     }
-    const sorted = this.getSortedDataPoints();
-
-    if (this.fitType === 'biphasic') {
-      const params = DDRModels.fitCase1Strategy('biphasic', sorted, this.config, this.algorithm);
-      this.fittedCurve = { type: 'biphasic', params };
+    if (!curve.fittedCurve || curve.fitting) {
+      return;
+    }
+    const sorted = DDRModels.fitPointsForMode(this.getSortedDataPoints(curve), this.config);
+    const job = {
+      curve,
+      revision: curve.revision,
+      progress: { done: 0, total: this.config.bootstrap.nResamples },
+      points: sorted,
+    };
+    this.bootstrapJob = job;
+    this.updateStats();
+    if (this.getFitWorker()) {
+      this.runBootstrapWorker(job);
     } else {
-      const params = DDRModels.fitCase1Strategy('monophasic', sorted, this.config, this.algorithm);
-      this.fittedCurve = { type: 'monophasic', params };
+      this.runBootstrapSlices(job);
+    }
+  }
+
+  // Stop the running bootstrap, if any; its worker is dropped with it
+  cancelBootstrap() {
+    const job = this.bootstrapJob;
+    this.bootstrapJob = null;
+    if (job && job.worker) {
+      job.worker.terminate();
+    }
+  }
+
+  runBootstrapWorker(job) {
+    const curve = job.curve;
+    try {
+      job.worker = new Worker(this.config.fitting.workerUrl);
+    } catch (err) {
+      console.warn('Bootstrap worker unavailable, resampling on the main thread:', err);
+      this.runBootstrapSlices(job);
+      return;
     }
+    job.worker.onmessage = ({ data }) => {
+      if (this.bootstrapJob !== job) {
+        return;
+      }
+      if (curve.revision !== job.revision) {
+        this.cancelBootstrap();
+      } else if (data.progress) {
+        job.progress = data.progress;
+      } else {
+        this.cancelBootstrap();
+        if (data.error) {
+          console.error('Bootstrap failed:', data.error);
+        } else {
+          curve.bootstrap = data.result;
+        }
+      }
+      this.updateStats();
+    };
+    job.worker.onerror = (e) => {
+      if (e.preventDefault) {
+        e.preventDefault();
+      }
+      console.warn('Bootstrap worker failed, resampling on the main thread:', e.message);
+      job.worker.terminate();
+      job.worker = null;
+      if (this.bootstrapJob === job) {
+        this.runBootstrapSlices(job);
+      }
+    };
+    job.worker.postMessage({
+      seq: 0,
+      type: 'bootstrap',
+      fittedCurve: curve.fittedCurve,
+      points: job.points,
+      config: this.config,
+      algorithm: curve.algorithm,
+    });
+  }
 
-    this.metrics = DDRModels.calculateMetrics(
-      this.fittedCurve,
-      sorted,
+  runBootstrapSlices(job) {
+    const curve = job.curve;
+    job.progress = { done: 0, total: job.progress.total };
+    job.iterator = DDRModels.bootstrapIterator(
+      curve.fittedCurve,
+      job.points,
       this.config,
-      this.algorithm,
-      (pts, cfg, algo) => DDRModels.fitMonophasicForIC50(pts, cfg, algo)
+      curve.algorithm
     );
-    this.updateStats();
+    const pump = () => {
+      if (this.bootstrapJob !== job) {
+        return;
+      }
+      if (curve.revision !== job.revision) {
+        this.bootstrapJob = null;
+        this.updateStats();
+        return;
+      }
+      const deadline = Date.now() + 30;
+      let step;
+      do {
+        step = job.iterator.next();
+      } while (!step.done && Date.now() < deadline);
+      if (step.done) {
+        curve.bootstrap = step.value;
+        this.bootstrapJob = null;
+      } else {
+        job.progress = step.value;
+        setTimeout(pump, 0);
+      }
+      this.updateStats();
+    };
+    setTimeout(pump, 0);
+  }
+
+  // CSS font for plot text; figure export swaps in config.figure.fontFamily
+  font(size, weight = null) {
+    const family = this.figureFont || this.config.rendering.fontFamily;
+    return `${weight ? `${weight} ` : ''}${size}px ${family}`;
   }
 
-  // Rendering
+  // Rendering: inactive curves first (faded), then the active one on top
   draw() {
+    this.updateAxisRange();
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (this.combination) {
+      this.drawCombination();
+      return;
+    }
     this.drawAxes();
     this.drawGrid();
-    if (this.fittedCurve) this.drawFittedCurve();
-    this.drawDataPoints();
+    const ordered = this.curves.filter((c) => c !== this.activeCurve).concat([this.activeCurve]);
+    for (const curve of ordered) {
+      this.ctx.globalAlpha = curve === this.activeCurve ? 1 : 0.45;
+      if (curve.fittedCurve) {
+        this.drawBands(curve);
+      }
+    }
+    for (const curve of ordered) {
+      this.ctx.globalAlpha = curve === this.activeCurve ? 1 : 0.45;
+      if (curve.fittedCurve) {
+        this.ctx.save();
+        this.clipToPlot();
+        this.drawFittedCurve(curve);
+        this.ctx.restore();
+      }
+      this.drawDataPoints(curve);
+    }
+    this.ctx.globalAlpha = 1;
+    if (this.curves.length > 1) {
+      this.drawLegend();
+    }
   }
 
   drawAxes() {
@@ -156,15 +2651,18 @@ class DDRCurveFittingApp {
     this.ctx.stroke();
 
     this.ctx.fillStyle = '#212529';
-    this.ctx.font = '12px -apple-system, BlinkMacSystemFont, sans-serif';
+    this.ctx.font = this.font(12);
     this.ctx.textAlign = 'center';
-    for (let logConc = -3; logConc <= 2; logConc++) {
+    const ticks = this.axisTicks();
+    // Decades in µM are decades in every display unit, shifted by the unit's exponent
+    const unitShift = Math.round(Math.log10(this.unitFactor()));
+    for (const logConc of ticks.conc) {
       const x = this.concentrationToPixel(Math.pow(10, logConc));
-      this.ctx.fillText(`10^${logConc}`, x, this.canvas.height - topPadding + 20);
+      this.ctx.fillText(`10^${logConc - unitShift}`, x, this.canvas.height - topPadding + 20);
     }
 
     this.ctx.textAlign = 'right';
-    for (let viability = 0; viability <= 100; viability += 25) {
+    for (const viability of ticks.viability) {
       const y = this.viabilityToPixel(viability);
       this.ctx.fillText(`${viability}%`, padding - 10, y + 5);
     }
@@ -173,13 +2671,17 @@ class DDRCurveFittingApp {
     this.ctx.translate(15, this.canvas.height / 2);
     this.ctx.rotate(-Math.PI / 2);
     this.ctx.textAlign = 'center';
-    this.ctx.font = '14px -apple-system, BlinkMacSystemFont, sans-serif';
+    this.ctx.font = this.font(14);
     this.ctx.fillText('Viability (%)', 0, 0);
     this.ctx.restore();
 
     this.ctx.textAlign = 'center';
-    this.ctx.font = '14px -apple-system, BlinkMacSystemFont, sans-serif';
-    this.ctx.fillText('Concentration (µM)', this.canvas.width / 2, this.canvas.height - 10);
+    this.ctx.font = this.font(14);
+    this.ctx.fillText(
+      `Concentration (${this.unitLabel()})`,
+      this.canvas.width / 2,
+      this.canvas.height - 10
+    );
   }
 
   drawGrid() {
@@ -188,14 +2690,15 @@ class DDRCurveFittingApp {
     const rightPadding = 40;
     this.ctx.strokeStyle = '#e9ecef';
     this.ctx.lineWidth = 1;
-    for (let logConc = -3; logConc <= 2; logConc++) {
+    const ticks = this.axisTicks();
+    for (const logConc of ticks.conc) {
       const x = this.concentrationToPixel(Math.pow(10, logConc));
       this.ctx.beginPath();
       this.ctx.moveTo(x, topPadding);
       this.ctx.lineTo(x, this.canvas.height - topPadding);
       this.ctx.stroke();
     }
-    for (let viability = 0; viability <= 100; viability += 25) {
+    for (const viability of ticks.viability) {
       const y = this.viabilityToPixel(viability);
       this.ctx.beginPath();
       this.ctx.moveTo(padding, y);
@@ -204,31 +2707,89 @@ class DDRCurveFittingApp {
     }
   }
 
-  drawDataPoints() {
-    this.ctx.fillStyle = '#212529'; // black-ish
-    for (const p of this.dataPoints) {
-      const x = this.concentrationToPixel(p.concentration);
-      const y = this.viabilityToPixel(p.viability);
-      this.ctx.beginPath();
-      this.ctx.arc(x, y, 5, 0, 2 * Math.PI);
-      this.ctx.fill();
+  drawDataPoints(curve) {
+    const rep = this.config.replicates;
+    const color = this.curves.length > 1 ? curve.color : '#212529'; // black-ish when alone
+    this.ctx.fillStyle = color;
+    this.ctx.strokeStyle = color;
+    if (rep.display !== 'mean') {
+      const radius = rep.display === 'both' ? 3 : 5;
+      this.ctx.lineWidth = 1.5;
+      for (const p of curve.dataPoints) {
+        const x = this.concentrationToPixel(p.concentration);
+        const y = this.viabilityToPixel(p.viability);
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
+        // Excluded outliers are drawn hollow
+        if (p.excluded) {
+          this.ctx.stroke();
+        } else {
+          this.ctx.fill();
+        }
+      }
+      // Suspect outliers get a ring on screen; exported figures leave them out
+      if (!this.figureFont) {
+        this.ctx.save();
+        this.ctx.strokeStyle = '#fd7e14';
+        this.ctx.lineWidth = 2;
+        for (const [p, d] of this.pointDiagnostics(curve)) {
+          if (!d.outlier) {
+            continue;
+          }
+          this.ctx.beginPath();
+          this.ctx.arc(
+            this.concentrationToPixel(p.concentration),
+            this.viabilityToPixel(p.viability),
+            radius + 4,
+            0,
+            2 * Math.PI
+          );
+          this.ctx.stroke();
+        }
+        this.ctx.restore();
+      }
+    }
+    if (rep.display === 'raw') {
+      return;
+    }
+
+    // Mean marker with a vertical SD/SEM bar per dose (included points only)
+    const doses = DDRModels.groupReplicates(
+      DDRModels.includedPoints(this.getSortedDataPoints(curve)),
+      rep.doseTolerance
+    );
+    this.ctx.lineWidth = 1.5;
+    for (const g of doses) {
+      const x = this.concentrationToPixel(g.concentration);
+      const y = this.viabilityToPixel(g.mean);
+      const err = rep.errorBar === 'sem' ? g.sem : g.sd;
+      if (err > 0) {
+        const yLo = this.viabilityToPixel(g.mean - err);
+        const yHi = this.viabilityToPixel(g.mean + err);
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, yLo);
+        this.ctx.lineTo(x, yHi);
+        this.ctx.moveTo(x - 5, yLo);
+        this.ctx.lineTo(x + 5, yLo);
+        this.ctx.moveTo(x - 5, yHi);
+        this.ctx.lineTo(x + 5, yHi);
+        this.ctx.stroke();
+      }
+      this.ctx.fillRect(x - 4, y - 4, 8, 8);
     }
   }
 
-  drawFittedCurve() {
+  drawFittedCurve(curve) {
     const padding = 60;
     const rightPadding = 40;
     const n = this.config.rendering.curveResolution;
-    this.ctx.strokeStyle = 'rgba(220, 53, 69, 0.8)'; // light red
-    this.ctx.lineWidth = 3;
+    this.ctx.strokeStyle = curve.color;
+    this.ctx.lineWidth = curve === this.activeCurve ? 3 : 2;
     this.ctx.beginPath();
     for (let i = 0; i <= n; i++) {
       const x = padding + (i / n) * (this.canvas.width - padding - rightPadding);
       const conc = this.pixelToConcentration(x);
-      const v =
-        (this.fitType === 'biphasic'
-          ? DDRModels.biphasicFunction(conc, this.fittedCurve.params)
-          : DDRModels.hillFunction(conc, this.fittedCurve.params)) * 100;
+      const v = DDRModels.modelValue(curve.fittedCurve.type, conc, curve.fittedCurve.params) * 100;
       const y = this.viabilityToPixel(v);
       if (i === 0) this.ctx.moveTo(x, y);
       else this.ctx.lineTo(x, y);
@@ -236,36 +2797,128 @@ class DDRCurveFittingApp {
     this.ctx.stroke();
   }
 
+  // Shaded confidence / prediction bands, clipped to the plot area and drawn behind all curves
+  drawBands(curve) {
+    const bands = this.config.bands;
+    if (!(bands.showConfidence || bands.showPrediction) || !curve.covariance) {
+      return;
+    }
+    const padding = 60;
+    const rightPadding = 40;
+    const n = this.config.rendering.curveResolution;
+    const xs = [];
+    for (let i = 0; i <= n; i++) {
+      xs.push(padding + (i / n) * (this.canvas.width - padding - rightPadding));
+    }
+    const rows = DDRModels.predictionBands(
+      curve.fittedCurve,
+      curve.covariance,
+      xs.map((x) => this.pixelToConcentration(x)),
+      bands.level
+    );
+    const baseAlpha = this.ctx.globalAlpha;
+    this.ctx.save();
+    this.clipToPlot();
+    this.ctx.fillStyle = curve.color;
+    const fillBand = (lowerKey, upperKey, alpha) => {
+      this.ctx.globalAlpha = baseAlpha * alpha;
+      this.ctx.beginPath();
+      rows.forEach((r, i) => {
+        const y = this.viabilityToPixel(r[upperKey]);
+        if (i === 0) {
+          this.ctx.moveTo(xs[i], y);
+        } else {
+          this.ctx.lineTo(xs[i], y);
+        }
+      });
+      for (let i = rows.length - 1; i >= 0; i--) {
+        this.ctx.lineTo(xs[i], this.viabilityToPixel(rows[i][lowerKey]));
+      }
+      this.ctx.closePath();
+      this.ctx.fill();
+    };
+    if (bands.showPrediction) {
+      fillBand('piLower', 'piUpper', 0.1);
+    }
+    if (bands.showConfidence) {
+      fillBand('ciLower', 'ciUpper', 0.2);
+    }
+    this.ctx.restore();
+  }
+
+  clipToPlot() {
+    const padding = 60;
+    const topPadding = 40;
+    const rightPadding = 40;
+    this.ctx.beginPath();
+    this.ctx.rect(
+      padding,
+      topPadding,
+      this.canvas.width - padding - rightPadding,
+      this.canvas.height - 2 * topPadding
+    );
+    this.ctx.clip();
+  }
+
+  drawLegend() {
+    const rightPadding = 40;
+    const lineHeight = 18;
+    this.ctx.font = this.font(12);
+    const width = 30 + Math.max(...this.curves.map((c) => this.ctx.measureText(c.name).width));
+    const x0 = this.canvas.width - rightPadding - width - 10;
+    const y0 = 50;
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    this.ctx.fillRect(x0 - 6, y0 - 6, width + 12, this.curves.length * lineHeight + 6);
+    this.ctx.textAlign = 'left';
+    this.curves.forEach((c, i) => {
+      const y = y0 + i * lineHeight + 6;
+      this.ctx.strokeStyle = c.color;
+      this.ctx.lineWidth = c === this.activeCurve ? 3 : 2;
+      this.ctx.beginPath();
+      this.ctx.moveTo(x0, y);
+      this.ctx.lineTo(x0 + 20, y);
+      this.ctx.stroke();
+      this.ctx.fillStyle = '#212529';
+      this.ctx.font = this.font(12, c === this.activeCurve ? 600 : null);
+      this.ctx.fillText(c.name, x0 + 28, y + 4);
+    });
+  }
+
   // Stats and export
   updateStats() {
-    document.getElementById('pointCount').textContent = this.dataPoints.length;
+    this.updateSeriesList();
+    this.updateMetricsTable();
     this.updateDataTable();
+    document.getElementById('activeCurveName').textContent = `(${this.activeCurve.name})`;
 
-    const r2El = document.getElementById('rSquaredValue');
-    if (this.metrics.rSquared !== null) {
-      r2El.textContent = this.metrics.rSquared.toFixed(4);
-      if (this.metrics.rSquared > 0.9) r2El.className = 'stat-value good';
-      else if (this.metrics.rSquared > 0.7) r2El.className = 'stat-value medium';
-      else r2El.className = 'stat-value poor';
-    } else {
-      r2El.textContent = '--';
-      r2El.className = 'stat-value';
-    }
+    this.updateModelSelection();
+    this.updateCiTable();
+    this.updateDiagnostics();
+    this.updateSimulation();
+    this.updateCombinationPanel();
 
-    const ic50El = document.getElementById('ic50Value');
-    if (this.metrics.ic50 !== null && isFinite(this.metrics.ic50))
-      ic50El.textContent = this.metrics.ic50.toExponential(2);
-    else ic50El.textContent = '--';
-
-    document.getElementById('aucValue').textContent =
-      this.metrics.auc !== null ? this.metrics.auc.toFixed(3) : '--';
+    const emax = this.activeCurve.metrics.emax;
+    document.getElementById('emaxValue').textContent =
+      emax !== null && isFinite(emax) ? `${emax.toFixed(1)}%` : '--';
 
     const statusEl = document.getElementById('fitStatus');
-    if (this.dataPoints.length < this.config.fitting.minPointsForFit) {
-      statusEl.textContent = `Need ${this.config.fitting.minPointsForFit - this.dataPoints.length} more points`;
+    const included = DDRModels.includedPoints(this.dataPoints).length;
+    const job = this.bootstrapJob;
+    if (job && job.curve === this.activeCurve) {
+      statusEl.textContent = `Bootstrapping… ${job.progress.done}/${job.progress.total}`;
+      statusEl.style.color = '#007bff';
+    } else if (included < this.config.fitting.minPointsForFit) {
+      statusEl.textContent = `Need ${this.config.fitting.minPointsForFit - included} more points`;
       statusEl.style.color = '#6c757d';
+    } else if (this.activeCurve.fitting) {
+      statusEl.textContent = 'Fitting…';
+      statusEl.style.color = '#007bff';
     } else if (this.fittedCurve) {
-      statusEl.textContent = 'Curve fitted';
+      const wantsBands = this.config.bands.showConfidence || this.config.bands.showPrediction;
+      statusEl.textContent =
+        wantsBands && !this.activeCurve.covariance
+          ? 'Curve fitted (no bands: too few doses for the parameters)'
+          : 'Curve fitted';
       statusEl.style.color = '#28a745';
     } else {
       statusEl.textContent = 'Fitting failed';
@@ -273,73 +2926,774 @@ class DDRCurveFittingApp {
     }
   }
 
+  fitLabel(curve) {
+    if (curve.fitType === 'auto' && curve.fittedCurve) {
+      return `auto → ${curve.fittedCurve.type}`;
+    }
+    return curve.fitType;
+  }
+
+  updateModelSelection() {
+    const sel = this.activeCurve.modelSelection;
+    const info = document.getElementById('modelSelectionInfo');
+    document.getElementById('modelSelectionItem').hidden = !sel;
+    info.innerHTML = '';
+    if (!sel) {
+      return;
+    }
+    const names = { aicc: 'AICc', bic: 'BIC', ftest: 'F-test', default: 'default' };
+    const fmt = (v, digits) => (v === null || !isFinite(v) ? 'n/a' : v.toFixed(digits));
+    const chosen = document.createElement('strong');
+    chosen.textContent = sel.chosen === 'biphasic' ? 'Biphasic' : 'Monophasic';
+    info.append(chosen, ` by ${names[sel.criterion]}`);
+    const lines = [
+      `ΔAICc (bi − mono): ${fmt(sel.deltaAICc, 2)}`,
+      `ΔBIC (bi − mono): ${fmt(sel.deltaBIC, 2)}`,
+      `F = ${fmt(sel.fStat, 2)}, p = ${sel.pValue === null ? 'n/a' : sel.pValue.toPrecision(3)}`,
+    ];
+    if (sel.criterion !== sel.requestedCriterion) {
+      lines.push(`(${names[sel.requestedCriterion]} not computable with n = ${sel.n})`);
+    }
+    for (const line of lines) {
+      info.appendChild(document.createElement('br'));
+      info.append(line);
+    }
+  }
+
+  // Parameter estimates with delta-method standard errors; bootstrap CIs (and the IC50 / AUC /
+  // Emax rows) once a bootstrap has been run for the current fit
+  updateCiTable() {
+    const curve = this.activeCurve;
+    const bs = curve.bootstrap;
+    const btn = document.getElementById('bootstrapBtn');
+    const level = Math.round(this.config.bootstrap.confidenceLevel * 100);
+    btn.textContent = this.bootstrapJob ? 'Cancel bootstrap' : `Bootstrap ${level}% CIs`;
+    btn.disabled = !this.bootstrapJob && (!this.fittedCurve || this.activeCurve.fitting);
+
+    const table = document.getElementById('ciTable');
+    const note = document.getElementById('ciNote');
+    table.hidden = !curve.fittedCurve;
+    note.textContent = '';
+    if (!curve.fittedCurve) {
+      return;
+    }
+    const ciLevel = bs ? bs.level : this.config.bootstrap.confidenceLevel;
+    document.getElementById('ciHeader').textContent = `${Math.round(ciLevel * 100)}% CI`;
+    const fmt = (v) => {
+      if (v === null || !isFinite(v)) {
+        return '--';
+      }
+      return Math.abs(v) >= 1e3 || (v !== 0 && Math.abs(v) < 1e-2)
+        ? v.toExponential(2)
+        : v.toFixed(3);
+    };
+    const names = DDRModels.PARAM_NAMES[curve.fittedCurve.type];
+    const se = DDRModels.standardErrors(curve.fittedCurve, curve.covariance);
+    const rows = bs
+      ? bs.intervals
+      : names.map((name, i) => ({ name, estimate: curve.fittedCurve.params[i] }));
+    const tbody = document.getElementById('ciTableBody');
+    tbody.innerHTML = '';
+    for (const ci of rows) {
+      const idx = names.indexOf(ci.name);
+      const isConc = this.isConcentrationName(ci.name);
+      const scaled = (v) => fmt(isConc && v !== null ? v / this.unitFactor() : v);
+      const row = tbody.insertRow();
+      row.insertCell().textContent = isConc ? `${ci.name} (${this.unitLabel()})` : ci.name;
+      row.insertCell().textContent = scaled(ci.estimate);
+      row.insertCell().textContent = se && idx >= 0 ? scaled(se[idx]) : '--';
+      row.insertCell().textContent = ci.n ? `${scaled(ci.lower)} – ${scaled(ci.upper)}` : '--';
+    }
+    note.textContent = bs
+      ? `${bs.method} bootstrap, N=${bs.nResamples}, seed ${bs.seed}` +
+        (bs.failed ? ` (${bs.failed} degenerate resamples skipped)` : '')
+      : 'SE from the fit covariance (delta method); run the bootstrap for CIs';
+  }
+
+  // Recovered vs true parameters of a curve simulated by the Simulate dialog
+  updateSimulation() {
+    const { truth, fittedCurve } = this.activeCurve;
+    document.getElementById('simulationItem').hidden = !truth;
+    const tbody = document.getElementById('simulationBody');
+    tbody.innerHTML = '';
+    if (!truth) {
+      return;
+    }
+    const recovery = DDRSimulate.recoveryErrors(truth.model, truth.params, fittedCurve);
+    const rows =
+      recovery ||
+      DDRModels.PARAM_NAMES[truth.model].map((name, i) => ({
+        name,
+        truth: truth.params[i],
+        fitted: null,
+        relError: null,
+      }));
+    const fmt = (v) => {
+      if (v === null || !isFinite(v)) {
+        return '--';
+      }
+      return Math.abs(v) >= 1e3 || (v !== 0 && Math.abs(v) < 1e-2)
+        ? v.toExponential(2)
+        : v.toFixed(3);
+    };
+    for (const r of rows) {
+      const isConc = this.isConcentrationName(r.name);
+      const scaled = (v) => fmt(isConc && v !== null ? v / this.unitFactor() : v);
+      const row = tbody.insertRow();
+      row.insertCell().textContent = isConc ? `${r.name} (${this.unitLabel()})` : r.name;
+      row.insertCell().textContent = scaled(r.truth);
+      row.insertCell().textContent = scaled(r.fitted);
+      row.insertCell().textContent =
+        r.relError === null || !isFinite(r.relError)
+          ? '--'
+          : `${r.relError > 0 ? '+' : ''}${r.relError.toFixed(1)}%`;
+    }
+    document.getElementById('simulationNote').textContent = recovery
+      ? `Simulated from ${DDRSimulate.MODELS[truth.model]}; error in % of the true value` +
+        (truth.model === 'biphasic' ? ' (phases matched by EC50)' : '')
+      : `Fit the ${DDRSimulate.MODELS[truth.model]} model to compare with the true parameters`;
+  }
+
+  // Diagnostics entry of each point of a curve's current fit, keyed by point object
+  pointDiagnostics(curve) {
+    const d = curve.diagnostics;
+    return new Map(d ? d.dataPoints.map((p, i) => [p, d.points[i]]) : []);
+  }
+
+  // Exclude every flagged point of the active curve in one step and refit
+  excludeOutliers() {
+    const flagged = [...this.pointDiagnostics(this.activeCurve)]
+      .filter(([, d]) => d.outlier)
+      .map(([p]) => p);
+    if (!flagged.length) {
+      return;
+    }
+    flagged.forEach((p) => (p.excluded = true));
+    this.afterPointEdit(
+      flagged.length > 1 ? `Exclude ${flagged.length} outliers` : 'Exclude outlier'
+    );
+  }
+
+  updateDiagnostics() {
+    const d = this.activeCurve.diagnostics;
+    document.getElementById('diagnosticsItem').hidden = !d || !!this.combination;
+    if (!d || this.combination) {
+      return;
+    }
+    const btn = document.getElementById('excludeOutliersBtn');
+    btn.hidden = !d.outliers;
+    btn.textContent = `Exclude ${d.outliers} flagged & refit`;
+    const limit = `|robust z| > ${d.threshold}`;
+    document.getElementById('diagnosticsNote').textContent = [
+      d.outliers
+        ? `${d.outliers} suspect point${d.outliers > 1 ? 's' : ''} (${limit})`
+        : `No suspect points (${limit})`,
+      d.sigma !== null ? `residual SD ${d.sigma.toFixed(2)}%` : null,
+      d.cooksCutoff !== null ? `Cook's D guide 4/n = ${d.cooksCutoff.toFixed(2)}` : null,
+    ]
+      .filter(Boolean)
+      .join('; ');
+    this.drawDiagnostics();
+  }
+
+  // Three stacked panels on the stats-panel canvas: residuals vs log concentration, a normal
+  // Q-Q plot of the standardized residuals and Cook's distance per point. Flagged points are
+  // orange.
+  drawDiagnostics() {
+    const canvas = document.getElementById('diagnosticsCanvas');
+    const d = this.activeCurve.diagnostics;
+    canvas.width = canvas.clientWidth || 210;
+    canvas.height = 330;
+    const ctx = canvas.getContext('2d');
+    const color = (i) => (d.points[i].outlier ? '#fd7e14' : '#212529');
+    const rows = d.dataPoints
+      .map((p, i) => ({ p, i, ...d.points[i] }))
+      .filter((r) => !r.p.excluded);
+    const panels = [
+      {
+        title: 'Residual (%) vs log conc',
+        points: rows.map((r) => ({
+          x: Math.log10(r.p.concentration),
+          y: r.residual,
+          color: color(r.i),
+        })),
+        reference: 0,
+      },
+      {
+        title: 'Normal Q-Q (standardized)',
+        points: d.qq.map((q) => ({ x: q.theoretical, y: q.sample, color: color(q.index) })),
+        diagonal: true,
+      },
+      {
+        title: "Cook's distance by point #",
+        points: rows
+          .filter((r) => r.cooksDistance !== null)
+          .map((r) => ({ x: r.i + 1, y: r.cooksDistance, color: color(r.i) })),
+        reference: d.cooksCutoff,
+        bars: true,
+      },
+    ];
+    const h = canvas.height / panels.length;
+    panels.forEach((panel, k) =>
+      this.drawDiagnosticPanel(
+        ctx,
+        { x: 30, y: k * h + 16, w: canvas.width - 36, h: h - 30 },
+        panel
+      )
+    );
+  }
+
+  drawDiagnosticPanel(ctx, box, { title, points, reference, diagonal, bars }) {
+    ctx.fillStyle = '#6c757d';
+    ctx.font = this.font(10, 600);
+    ctx.textAlign = 'left';
+    ctx.fillText(title, box.x - 26, box.y - 5);
+    ctx.strokeStyle = '#dee2e6';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.rect(box.x, box.y, box.w, box.h);
+    ctx.stroke();
+    if (!points.length) {
+      return;
+    }
+
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y).concat(bars ? [0] : []);
+    if (reference !== undefined && reference !== null) {
+      ys.push(reference);
+    }
+    if (diagonal) {
+      ys.push(...xs);
+    }
+    const span = (values) => {
+      let lo = Math.min(...values);
+      let hi = Math.max(...values);
+      if (hi - lo < 1e-9) {
+        [lo, hi] = [lo - 1, hi + 1];
+      }
+      const pad = (hi - lo) * 0.08;
+      return [lo - pad, hi + pad];
+    };
+    const [x0, x1] = span(xs);
+    const [y0, y1] = bars ? [0, span(ys)[1]] : span(ys); // bars rise from zero
+    const px = (x) => box.x + ((x - x0) / (x1 - x0)) * box.w;
+    const py = (y) => box.y + box.h - ((y - y0) / (y1 - y0)) * box.h;
+
+    ctx.fillStyle = '#6c757d';
+    ctx.font = this.font(9);
+    ctx.textAlign = 'right';
+    const label = (v) => String(Number(v.toPrecision(2)));
+    ctx.fillText(label(y1), box.x - 3, box.y + 8);
+    ctx.fillText(label(y0), box.x - 3, box.y + box.h);
+
+    ctx.save();
+    ctx.strokeStyle = '#adb5bd';
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    if (diagonal) {
+      ctx.moveTo(px(x0), py(x0));
+      ctx.lineTo(px(x1), py(x1));
+    } else if (reference !== undefined && reference !== null) {
+      ctx.moveTo(box.x, py(reference));
+      ctx.lineTo(box.x + box.w, py(reference));
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.lineWidth = 2;
+    for (const p of points) {
+      ctx.fillStyle = p.color;
+      ctx.strokeStyle = p.color;
+      if (bars) {
+        ctx.beginPath();
+        ctx.moveTo(px(p.x), py(0));
+        ctx.lineTo(px(p.x), py(p.y));
+        ctx.stroke();
+      } else {
+        ctx.beginPath();
+        ctx.arc(px(p.x), py(p.y), 2.5, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+    }
+  }
+
+  updateSeriesList() {
+    const list = document.getElementById('seriesList');
+    list.innerHTML = '';
+    for (const curve of this.curves) {
+      const li = document.createElement('li');
+      li.className = 'series-item' + (curve === this.activeCurve ? ' active' : '');
+      li.title = 'Click to activate, double-click to rename';
+      const swatch = document.createElement('span');
+      swatch.className = 'series-swatch';
+      swatch.style.background = curve.color;
+      const name = document.createElement('span');
+      name.className = 'series-name';
+      name.textContent = curve.name;
+      const count = document.createElement('span');
+      count.className = 'series-count';
+      count.textContent = curve.dataPoints.length;
+      const remove = document.createElement('button');
+      remove.className = 'series-remove';
+      remove.textContent = '×';
+      remove.title = 'Remove curve';
+      remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.removeCurve(curve.id);
+      });
+      li.append(swatch, name, count, remove);
+      li.addEventListener('click', () => this.setActiveCurve(curve.id));
+      li.addEventListener('dblclick', () => this.renameCurve(curve.id));
+      list.appendChild(li);
+    }
+  }
+
+  updateMetricsTable() {
+    const display = this.config.metrics.display;
+    const columns = this.metricColumns().filter((col) => display[col.toggle]);
+    const header = document.getElementById('metricsHeaderRow');
+    while (header.cells.length > 3) {
+      header.deleteCell(-1);
+    }
+    for (const col of columns) {
+      const th = document.createElement('th');
+      th.textContent = col.label;
+      header.appendChild(th);
+    }
+
+    const tbody = document.getElementById('metricsTableBody');
+    tbody.innerHTML = '';
+    for (const curve of this.curves) {
+      const m = curve.metrics;
+      const row = tbody.insertRow();
+      row.className = curve === this.activeCurve ? 'active' : '';
+      row.addEventListener('click', () => this.setActiveCurve(curve.id));
+      const nameCell = row.insertCell();
+      const swatch = document.createElement('span');
+      swatch.className = 'series-swatch';
+      swatch.style.background = curve.color;
+      nameCell.append(swatch, document.createTextNode(curve.name));
+      row.insertCell().textContent = curve.fittedCurve
+        ? `${this.fitLabel(curve)} / ${curve.algorithm}`
+        : '--';
+      const excluded = curve.dataPoints.length - DDRModels.includedPoints(curve.dataPoints).length;
+      row.insertCell().textContent =
+        curve.dataPoints.length - excluded + (excluded ? ` (${excluded} excl.)` : '');
+
+      for (const col of columns) {
+        const cell = row.insertCell();
+        const value = col.get(m);
+        const valid = value !== null && value !== undefined && isFinite(value);
+        cell.textContent = valid ? col.format(value) : '--';
+        if (col.toggle === 'rSquared' && valid) {
+          if (value > 0.9) {
+            cell.className = 'good';
+          } else if (value > 0.7) {
+            cell.className = 'medium';
+          } else {
+            cell.className = 'poor';
+          }
+        }
+      }
+    }
+  }
+
+  // Figure export: draw() replayed onto another context at config.figure's size (in points),
+  // followed by the optional title and metrics box, so every format matches the screen
+  drawFigure(ctx) {
+    const fig = this.config.figure;
+    const screen = { ctx: this.ctx, canvas: this.canvas };
+    this.ctx = ctx;
+    this.canvas = { width: fig.width * 72, height: fig.height * 72 };
+    this.figureFont = fig.fontFamily;
+    try {
+      this.draw();
+      if (fig.title) {
+        this.drawFigureTitle(fig.title);
+      }
+      if (fig.annotate && !this.combination) {
+        this.drawAnnotation();
+      }
+    } finally {
+      Object.assign(this, screen);
+      this.figureFont = null;
+    }
+  }
+
+  drawFigureTitle(title) {
+    this.ctx.fillStyle = '#212529';
+    this.ctx.textAlign = 'center';
+    this.ctx.font = this.font(16, 600);
+    this.ctx.fillText(title, this.canvas.width / 2, 26);
+  }
+
+  // IC50 and R² per fitted curve, boxed in the lower-left corner of the plot area
+  drawAnnotation() {
+    const lines = this.curves
+      .filter((c) => c.fittedCurve)
+      .map((c) => {
+        const m = c.metrics;
+        const ic50 =
+          m.ic50 !== null && isFinite(m.ic50)
+            ? `${(m.ic50 / this.unitFactor()).toPrecision(3)} ${this.unitLabel()}`
+            : 'n/a';
+        const r2 = m.rSquared !== null ? m.rSquared.toFixed(3) : 'n/a';
+        return `${this.curves.length > 1 ? `${c.name}: ` : ''}IC50 = ${ic50}, R² = ${r2}`;
+      });
+    if (!lines.length) {
+      return;
+    }
+    const lineHeight = 15;
+    this.ctx.font = this.font(11);
+    const width = Math.max(...lines.map((l) => this.ctx.measureText(l).width));
+    const x0 = 60 + 10;
+    const y0 = this.canvas.height - 40 - 10 - lines.length * lineHeight;
+    this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    this.ctx.fillRect(x0 - 6, y0 - 6, width + 12, lines.length * lineHeight + 6);
+    this.ctx.strokeStyle = '#dee2e6';
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    this.ctx.rect(x0 - 6, y0 - 6, width + 12, lines.length * lineHeight + 6);
+    this.ctx.stroke();
+    this.ctx.fillStyle = '#212529';
+    this.ctx.textAlign = 'left';
+    lines.forEach((line, i) => this.ctx.fillText(line, x0, y0 + i * lineHeight + 8));
+  }
+
+  // Vector recording of the figure; text is measured with the browser's metrics for the font
+  recordFigure() {
+    const fig = this.config.figure;
+    const measureCtx = document.createElement('canvas').getContext('2d');
+    const measure = (text, font) => {
+      measureCtx.font = font;
+      return measureCtx.measureText(text).width;
+    };
+    const recording = DDRVector.createRecorder(fig.width * 72, fig.height * 72, measure);
+    this.drawFigure(recording);
+    return recording;
+  }
+
+  download(content, type, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = fileName;
+    link.click();
+  }
+
+  // Raster fallback: the figure at config.figure.dpi on a white background
   exportPng() {
+    const fig = this.config.figure;
+    const scale = fig.dpi / 72;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(fig.width * fig.dpi);
+    canvas.height = Math.round(fig.height * fig.dpi);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    this.drawFigure(ctx);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
     const link = document.createElement('a');
     link.download = 'dose_response_curve.png';
-    link.href = this.canvas.toDataURL();
+    link.href = canvas.toDataURL('image/png');
     link.click();
   }
 
+  exportSvg() {
+    const fig = this.config.figure;
+    const svg = DDRVector.toSvg(this.recordFigure(), {
+      width: fig.width,
+      height: fig.height,
+      title: fig.title,
+    });
+    this.download(svg, 'image/svg+xml', 'dose_response_curve.svg');
+  }
+
+  exportPdf() {
+    const pdf = DDRVector.toPdf(this.recordFigure(), { title: this.config.figure.title });
+    this.download(pdf, 'application/pdf', 'dose_response_curve.pdf');
+  }
+
+  // Synergy section of the CSV export: margin fits, summary scores and every combination well
+  combinationCsv() {
+    const result = this.combinationResult();
+    const unit = this.unitLabel();
+    const num = (v) => (v === null || !isFinite(v) ? 'N/A' : +v.toFixed(4));
+    const cell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v);
+    let csv = `\nCombination,${cell(this.combination.name)}\n`;
+    csv += `Drug A,${cell(result.drugA)}\nDrug B,${cell(result.drugB)}\n`;
+    csv += `\nSingle agent,HS,E_inf,EC50 (${unit})\n`;
+    for (const [name, fit] of [
+      [result.drugA, result.fitA],
+      [result.drugB, result.fitB],
+    ]) {
+      const p = fit ? fit.params : [null, null, null];
+      csv += `${cell(name)},${num(p[0])},${num(p[1])},${p[2] === null ? 'N/A' : this.formatConcentration(p[2])}\n`;
+    }
+    csv += '\nSynergy Summary (% inhibition points; > 0 synergy)\nModel,Mean,Max,Min\n';
+    for (const [method, label] of Object.entries(DDRSynergy.METHODS)) {
+      const s = result.summary[method];
+      csv += `${label},${num(s.mean)},${num(s.max)},${num(s.min)}\n`;
+    }
+    csv += `\n${cell(result.drugA)} (${unit}),${cell(result.drugB)} (${unit}),Viability (%)`;
+    csv += ',Bliss,HSA,Loewe,ZIP\n';
+    for (const c of result.cells) {
+      csv += [this.formatConcentration(c.a), this.formatConcentration(c.b), num(c.viability)]
+        .concat(Object.keys(DDRSynergy.METHODS).map((m) => num(c[m])))
+        .join(',');
+      csv += '\n';
+    }
+    return csv;
+  }
+
   exportCsv() {
-    let csv = 'Concentration (µM),Viability (%)\n';
-    const sorted = this.getSortedDataPoints();
-    for (const p of sorted) csv += `${p.concentration.toFixed(5)},${p.viability.toFixed(5)}\n`;
-
-    csv += '\nMetrics\n';
-    csv += `R-squared,${this.metrics.rSquared !== null ? this.metrics.rSquared.toFixed(4) : 'N/A'}\n`;
-    csv += `IC50,${this.metrics.ic50 !== null && !isNaN(this.metrics.ic50)
-        ? this.metrics.ic50.toExponential(2)
-        : 'N/A'
-      }\n`;
-    csv += `AUC,${this.metrics.auc !== null ? this.metrics.auc.toFixed(3) : 'N/A'}\n`;
-    csv += `Fit Type,${this.fitType}\n`;
-    csv += `Algorithm,${this.algorithm}\n`;
-    if (this.metrics.emax !== null) csv += `Emax_at_max_dose,${this.metrics.emax.toFixed(3)}\n`;
-
-    if (this.fittedCurve) {
-      csv += '\nFitted Parameters\n';
-      if (this.fittedCurve.type === 'monophasic') {
-        csv += 'Hill Slope,E_inf,EC50\n';
-        csv += `${this.fittedCurve.params[0]},${this.fittedCurve.params[1]},${this.fittedCurve.params[2]}\n`;
-      } else {
-        csv += 'HS1,E_inf1,EC50_1,HS2,E_inf2,EC50_2\n';
-        csv += this.fittedCurve.params.join(',') + '\n';
+    const cell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v);
+    const fmt = (v, f) => (v !== null && isFinite(v) ? f(v) : 'N/A');
+    // Concentrations (data, IC50, EC50 parameters) are written in the display unit
+    const unit = this.unitLabel();
+    const factor = this.unitFactor();
+    const inUnit = (name, v) => (this.isConcentrationName(name) && v !== null ? v / factor : v);
+    const withUnit = (name) => (this.isConcentrationName(name) ? `${name} (${unit})` : name);
+
+    // Extended sensitivity metrics follow the original columns, whatever the table shows
+    const extended = this.metricColumns().filter(
+      (col) => !['rSquared', 'ic50', 'auc', 'emax'].includes(col.toggle)
+    );
+    const extendedValues = (m) =>
+      extended.map((col) => fmt(col.get(m) ?? null, col.format)).join(',');
+    const { rangeMin, rangeMax } = this.config.metrics;
+    const rangeText = (v) => (v ? this.formatConcentration(v) : 'tested');
+
+    let csv = 'Summary\n';
+    const emaxMode = DDRModels.EMAX_MODES[this.config.fitting.emaxMode];
+    csv += `Curve,Fit Type,Algorithm,Points,Excluded,R-squared,IC50 (${unit}),AUC,Emax (%),Emax mode,`;
+    csv += extended.map((col) => col.label).join(',') + '\n';
+    for (const curve of this.curves) {
+      const m = curve.metrics;
+      const included = DDRModels.includedPoints(curve.dataPoints).length;
+      csv += [
+        cell(curve.name),
+        this.fitLabel(curve),
+        curve.algorithm,
+        included,
+        curve.dataPoints.length - included,
+        fmt(m.rSquared, (v) => v.toFixed(4)),
+        fmt(m.ic50, (v) => (v / factor).toExponential(2)),
+        fmt(m.auc, (v) => v.toFixed(3)),
+        fmt(m.emax, (v) => v.toFixed(3)),
+        emaxMode,
+        extendedValues(m),
+      ].join(',');
+      csv += '\n';
+    }
+
+    const { weighting } = this.config.robust;
+    const userWeights = weighting === 'user';
+    for (const curve of this.curves) {
+      csv += `\nCurve,${cell(curve.name)}\n`;
+      csv += `Concentration (${unit}),Viability (%),Excluded,Residual (%),Robust z,Cook's D,Suspect outlier`;
+      csv += userWeights ? ',Weight\n' : '\n';
+      const sorted = this.getSortedDataPoints(curve);
+      const diagnostics = this.pointDiagnostics(curve);
+      for (const p of sorted) {
+        const conc = this.formatConcentration(p.concentration);
+        const d = diagnostics.get(p) || {};
+        const num = (v) => fmt(v ?? null, (x) => x.toFixed(4));
+        csv += `${conc},${p.viability.toFixed(5)},${p.excluded ? 'yes' : 'no'},`;
+        csv += `${num(d.residual)},${num(d.robustZ)},${num(d.cooksDistance)},${d.outlier ? 'yes' : 'no'}`;
+        csv += userWeights ? `,${p.weight ?? 1}\n` : '\n';
+      }
+
+      const metrics = curve.metrics;
+      csv += '\nMetrics\n';
+      csv += `R-squared,${metrics.rSquared !== null ? metrics.rSquared.toFixed(4) : 'N/A'}\n`;
+      csv += `IC50 (${unit}),${fmt(metrics.ic50, (v) => (v / factor).toExponential(2))}\n`;
+      csv += `AUC,${metrics.auc !== null ? metrics.auc.toFixed(3) : 'N/A'}\n`;
+      csv += `Fit Type,${this.fitLabel(curve)}\n`;
+      csv += `Algorithm,${curve.algorithm}\n`;
+      csv += `Optimizer,${this.config.optimizer.method}\n`;
+      csv += `Weighting,${DDRModels.WEIGHTING_SCHEMES[weighting]}\n`;
+      csv += `Seed,${this.config.fitting.seed}\n`;
+      csv += `Emax (%),${fmt(metrics.emax, (v) => v.toFixed(3))}\n`;
+      csv += `Emax mode,${emaxMode}\n`;
+      for (const col of extended) {
+        csv += `${col.label},${fmt(col.get(metrics) ?? null, col.format)}\n`;
+      }
+      csv += `Area/DSS range (${unit}),${rangeText(rangeMin)},${rangeText(rangeMax)}\n`;
+      csv += `DSS threshold (%),${this.config.metrics.dssThreshold}\n`;
+
+      if (curve.fittedCurve) {
+        csv += `Fitted on,${this.config.replicates.fitOn === 'means' ? 'per-dose means' : 'all replicates'}\n`;
+        csv += '\nFitted Parameters\n';
+        const names = DDRModels.PARAM_NAMES[curve.fittedCurve.type];
+        csv += names.map(withUnit).join(',') + '\n';
+        csv += curve.fittedCurve.params.map((v, i) => inUnit(names[i], v)).join(',') + '\n';
+        const se = DDRModels.standardErrors(curve.fittedCurve, curve.covariance);
+        if (se) {
+          csv += 'Standard Errors (delta method)\n';
+          csv += se.map((v, i) => inUnit(names[i], v)).join(',') + '\n';
+        }
+      }
+
+      if (curve.modelSelection) {
+        const sel = curve.modelSelection;
+        const num = (v) => (v === null || !isFinite(v) ? 'N/A' : +v.toFixed(6));
+        csv += '\nModel Selection\n';
+        csv += `Chosen model,${sel.chosen}\n`;
+        csv += `Decision criterion,${sel.criterion}\n`;
+        csv += `Requested criterion,${sel.requestedCriterion}\n`;
+        csv += `Delta AICc (biphasic - monophasic),${num(sel.deltaAICc)}\n`;
+        csv += `Delta BIC (biphasic - monophasic),${num(sel.deltaBIC)}\n`;
+        csv += `F statistic,${num(sel.fStat)}\n`;
+        csv += `F-test p-value,${num(sel.pValue)}\n`;
+        csv += `F-test alpha,${sel.alpha}\n`;
+        csv += `Weighted SSE monophasic,${num(sel.candidates.monophasic.sse)}\n`;
+        csv += `Weighted SSE biphasic,${num(sel.candidates.biphasic.sse)}\n`;
+      }
+
+      if (curve.covariance) {
+        const level = this.config.bands.level;
+        const n = this.config.bands.exportPoints;
+        const logMin = Math.log10(sorted[0].concentration);
+        const logMax = Math.log10(sorted[sorted.length - 1].concentration);
+        const concs = [];
+        for (let i = 0; i < n; i++) {
+          concs.push(Math.pow(10, logMin + (i / (n - 1)) * (logMax - logMin)));
+        }
+        csv += `\nBands (${Math.round(level * 100)}%; delta method)\n`;
+        csv += `Concentration (${unit}),Fit (%),CI lower,CI upper,PI lower,PI upper\n`;
+        for (const r of DDRModels.predictionBands(
+          curve.fittedCurve,
+          curve.covariance,
+          concs,
+          level
+        )) {
+          csv += [
+            (r.concentration / factor).toExponential(4),
+            r.fit,
+            r.ciLower,
+            r.ciUpper,
+            r.piLower,
+            r.piUpper,
+          ]
+            .map((v) => (typeof v === 'number' ? +v.toFixed(5) : v))
+            .join(',');
+          csv += '\n';
+        }
+      }
+
+      if (curve.bootstrap) {
+        const bs = curve.bootstrap;
+        csv += `\nBootstrap CI (${bs.method}; N=${bs.nResamples}; seed=${bs.seed}; level=${bs.level})\n`;
+        csv += 'Parameter,Estimate,Lower,Upper,Valid resamples\n';
+        for (const ci of bs.intervals) {
+          const values = [ci.estimate, ci.lower, ci.upper].map((v) => inUnit(ci.name, v));
+          csv += [withUnit(ci.name), ...values, ci.n]
+            .map((v) => (v === null ? 'N/A' : v))
+            .join(',');
+          csv += '\n';
+        }
       }
     }
 
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = 'dose_response_data.csv';
-    link.click();
+    if (this.combination) {
+      csv += this.combinationCsv();
+    }
+
+    this.download(csv, 'text/csv;charset=utf-8;', 'dose_response_data.csv');
   }
 
   updateDataTable() {
     const tbody = document.getElementById('dataPointsTableBody');
     tbody.innerHTML = '';
-    const sorted = this.getSortedDataPoints();
-    sorted.forEach((p, idx) => {
-      const row = tbody.insertRow();
-      const c0 = row.insertCell(0);
-      c0.className = 'point-number';
-      c0.textContent = idx + 1;
-      row.insertCell(1).textContent = p.concentration.toFixed(5);
-      row.insertCell(2).textContent = p.viability.toFixed(5);
-    });
+    const doses = DDRModels.groupReplicates(
+      this.getSortedDataPoints(),
+      this.config.replicates.doseTolerance
+    );
+    const diagnostics = this.pointDiagnostics(this.activeCurve);
+    const userWeights = this.config.robust.weighting === 'user';
+    document.getElementById('weightHeader').hidden = !userWeights;
+    let idx = 0;
+    for (const g of doses) {
+      // n and CV describe the replicates that are included in the fit
+      const [stats] = DDRModels.groupReplicates(DDRModels.includedPoints(g.points), Infinity);
+      g.points.forEach((p, k) => {
+        const row = tbody.insertRow();
+        const diag = diagnostics.get(p);
+        row.className = p.excluded ? 'excluded' : diag && diag.outlier ? 'outlier' : '';
+        const c0 = row.insertCell();
+        c0.className = 'point-number';
+        c0.textContent = ++idx;
+        if (row.className === 'outlier') {
+          c0.textContent += ' ⚑';
+          c0.title = `Suspect outlier (robust z = ${diag.robustZ.toFixed(1)})`;
+        }
+        row.insertCell().textContent = this.formatConcentration(p.concentration);
+        row.insertCell().textContent = p.viability.toFixed(5);
+        if (userWeights) {
+          const input = document.createElement('input');
+          input.type = 'number';
+          input.min = '0';
+          input.step = 'any';
+          input.className = 'weight-input';
+          input.value = p.weight ?? 1;
+          input.title = 'Weight of this point in the fit';
+          input.addEventListener('change', () => this.setPointWeight(p, input));
+          row.insertCell().appendChild(input);
+        }
+        if (k === 0) {
+          // Replicate count and CV span every row of the dose
+          const nCell = row.insertCell();
+          nCell.rowSpan = g.n;
+          nCell.className = 'replicate-cell';
+          nCell.textContent = stats ? stats.n : 0;
+          const cvCell = row.insertCell();
+          cvCell.rowSpan = g.n;
+          cvCell.className = 'replicate-cell';
+          cvCell.textContent = stats && stats.cv !== null ? stats.cv.toFixed(1) : '--';
+        }
+        const actions = row.insertCell();
+        actions.className = 'point-actions';
+        const buttons = [
+          ['✎', 'Edit point', () => this.editPoint(p)],
+          [
+            p.excluded ? '↺' : '⊘',
+            p.excluded ? 'Include in fit' : 'Exclude from fit',
+            () => this.toggleExcluded(p),
+          ],
+          ['×', 'Delete point', () => this.deletePoint(p)],
+        ];
+        for (const [label, title, handler] of buttons) {
+          const btn = document.createElement('button');
+          btn.textContent = label;
+          btn.title = title;
+          btn.addEventListener('click', handler);
+          actions.appendChild(btn);
+        }
+      });
+    }
   }
 
-  getSortedDataPoints() {
-    const copy = this.dataPoints.slice();
+  getSortedDataPoints(curve = this.activeCurve) {
+    const copy = curve.dataPoints.slice();
     copy.sort((a, b) => a.concentration - b.concentration);
     return copy;
   }
 
   reset() {
-    this.dataPoints = [];
-    this.fittedCurve = null;
-    this.metrics = { rSquared: null, ic50: null, auc: null, emax: null };
+    this.cancelBootstrap();
+    this.fitQueue.clear();
+    this.curves = [];
+    this.curveSeq = 0;
+    this.activeCurveId = null;
+    this.combination = null;
+    this.combinationCache = null;
+    this.addCurve();
+    this.syncToggles();
     this.updateStats();
     this.draw();
+    this.recordHistory('Reset');
   }
 }
 
@@ -1,21 +1,170 @@
 // Centralized configuration for the DDR demo. Adjust values here.
 // This object is loaded before models/app and passed around as `config`.
+// In the browser it is the global DDRConfig; under Node it is this file's module.exports.
 
-window.DDRConfig = {
+const DDRConfig = {
   // General fitting controls
   fitting: {
     minPointsForFit: 5, // minimum points required to attempt a fit
-    // emaxMode controls how Emax is derived in metrics:
-    // - 'fromCurveAtMax' (default): evaluate the fitted curve at the maximum tested dose
-    //   and report that %viability as Emax. This smooths noise and mirrors Case 1.
-    // Note: Other modes (e.g., using the observed value at max dose, or the minimum
-    // over the fitted curve across the tested range) can be added if needed.
+    seed: 42, // PRNG seed for randomized fitting steps (mesh downsampling); same seed, same result
+    // emaxMode controls how Emax (%viability) is derived in metrics:
+    // - 'fromCurveAtMax' (default): evaluate the fitted curve at the maximum tested dose.
+    //   This smooths noise and mirrors Case 1.
+    // - 'observedAtMax': mean observed viability at the top dose
+    // - 'minOverTestedRange': minimum of the fitted curve across the tested range
+    // - 'asymptotic': fitted E_inf (E_inf1 × E_inf2 for biphasic fits)
     emaxMode: 'fromCurveAtMax',
+    // Fits run in a Web Worker so the page stays responsive. Where workers are unavailable
+    // (e.g. Chrome on file://) the app falls back to fitting on the main thread.
+    useWorker: true,
+    workerUrl: 'assets/js/fit-worker.js', // relative to index.html
+  },
+
+  // Automatic model selection (Fit Type = Auto): monophasic vs biphasic
+  modelSelection: {
+    criterion: 'aicc', // statistic that makes the decision: 'aicc', 'bic' or 'ftest'
+    alpha: 0.05, // F-test significance level for preferring the biphasic model
+  },
+
+  // Replicate handling: points whose doses agree within doseTolerance are one replicate set
+  replicates: {
+    doseTolerance: 0.01, // log10 units (0.01 ≈ 2.3% relative dose difference)
+    fitOn: 'all', // 'all' (every replicate) or 'means' (one mean point per dose)
+    display: 'raw', // 'raw', 'mean' (mean ± error bar) or 'both'
+    errorBar: 'sd', // 'sd' or 'sem'
+  },
+
+  // Bootstrap confidence intervals (run on demand from the stats panel)
+  bootstrap: {
+    method: 'residual', // 'residual' (fitted + resampled residuals) or 'case' (resample points)
+    nResamples: 200, // number of refits
+    seed: 12345, // PRNG seed so intervals are reproducible
+    confidenceLevel: 0.95, // percentile interval coverage
+  },
+
+  // Confidence / prediction bands around the fitted curve (delta method on the fit covariance)
+  bands: {
+    level: 0.95, // pointwise coverage of both bands
+    showConfidence: false, // shaded band for the mean curve
+    showPrediction: false, // wider band for a new single observation
+    exportPoints: 50, // log-spaced concentrations (tested range) written to the CSV
+  },
+
+  // Residual diagnostics and automatic outlier flags (see DDRModels.fitDiagnostics)
+  diagnostics: {
+    outlierThreshold: 3.5, // |robust z| of a residual (Huber fit, 1.4826 × MAD scale) that flags it
+    minResidualSd: 1, // % viability; floor on the robust scale so near-perfect fits flag nothing
+  },
+
+  // Sensitivity metrics beyond R², IC50 and the raw-point AUC (see DDRModels.sensitivityMetrics)
+  metrics: {
+    // Common concentration range (µM) for fitted AUC, AAC, normalized AUC and DSS, so drugs
+    // tested over different spans compare; null uses each curve's tested range
+    rangeMin: null,
+    rangeMax: null,
+    dssThreshold: 10, // % inhibition at which DSS starts counting activity
+    icLevels: [10, 50, 90], // IC-x: concentration where viability falls to (100 - x)%
+    ecLevels: [50], // EC-x: concentration giving x% of the curve's own effect
+    // Columns in the metrics table (the CSV export always has every metric)
+    display: {
+      rSquared: true,
+      ic50: true,
+      auc: true,
+      emax: false,
+      aucFit: false,
+      aac: false,
+      aucNorm: false,
+      dss: false,
+      icx: false,
+      ecx: false,
+    },
+  },
+
+  // Plot axes. Concentrations are stored and fitted in µM; `unit` only changes what is shown,
+  // typed in and exported.
+  axes: {
+    unit: 'uM', // 'M', 'mM', 'uM', 'nM' or 'pM'
+    autoRange: false, // span the concentration axis over whole decades covering the data
+    concMin: 1e-3, // µM; manual range, also used while there is no data
+    concMax: 100, // µM
+    viabilityMin: 0, // %
+    viabilityMax: 100, // %
+  },
+
+  // Raw plate-reader import (DDRPlate): QC limits; plates outside them are flagged, not dropped
+  plate: {
+    zPrimeMin: 0.5, // Z′ below this marks a weak assay window
+    cvMax: 20, // % CV of the NEG or POS control wells
+    edgeThreshold: 15, // outer ring vs interior: % of NEG reads, or % viability points of replicates
+  },
+
+  // Drug combination matrices (DDRSynergy)
+  synergy: {
+    method: 'bliss', // score shown on the heatmap and surface: 'bliss', 'hsa', 'loewe' or 'zip'
+    colorLimit: 30, // the colour scale saturates at ± this many % inhibition points
+  },
+
+  // Synthetic data generator (DDRSimulate): starting values of the Simulate dialog
+  simulation: {
+    model: 'monophasic', // 'monophasic' (Hill) or 'biphasic'
+    // True parameters per model in DDRModels.PARAM_NAMES order, EC50s in µM
+    params: {
+      monophasic: [1.2, 0.1, 0.5],
+      biphasic: [1.5, 0.4, 0.01, 1.5, 0.2, 10],
+    },
+    doses: { count: 10, dilution: 3, top: 100 }, // top dose in µM, each dose dilution-fold below
+    replicates: 3, // points per dose
+    noise: {
+      model: 'gaussian', // 'gaussian', 'heteroscedastic' or 'outliers' (see DDRSimulate)
+      sd: 5, // % viability (at 100 % viability for 'heteroscedastic')
+      outlierFraction: 0.1, // share of points shifted by outlierShift ('outliers')
+      outlierShift: 40, // % viability, up or down at random
+    },
+    seed: 1, // PRNG seed of the generated noise
+    // Batch mode: datasets per run, and the losses (DDRModels.LOSSES) and optimizer methods each
+    // dataset is fitted with
+    batch: { nSimulations: 50, losses: ['hill', 'huber', 'tukey'], methods: ['case1', 'lm'] },
+  },
+
+  // Figure export (PNG, SVG, PDF). The figure is the on-screen plot redrawn at this size, in
+  // points (1/72 in), so line widths and font sizes keep their on-screen proportions.
+  figure: {
+    width: 7, // inches
+    height: 4.5, // inches
+    dpi: 300, // PNG resolution; SVG and PDF are vector
+    fontFamily: 'Helvetica, Arial, sans-serif', // PDF uses Helvetica, Times or Courier to match
+    title: '', // drawn above the plot when set
+    annotate: true, // box with each curve's IC50 and R²
+  },
+
+  // Undo / redo
+  history: {
+    limit: 100, // snapshots kept (oldest dropped first)
+    fitCacheSize: 200, // fit results kept so undo/redo restores curves without refitting
+  },
+
+  // Sessions: autosave to localStorage and share links
+  session: {
+    autosave: true, // save to localStorage after every change and restore on load
+    storageKey: 'ddr-session',
+    maxLinkLength: 4000, // characters of URL hash; larger sessions must be saved as files
   },
 
   // Rendering controls
   rendering: {
     curveResolution: 200, // segments for the plotted curve
+    fontFamily: '-apple-system, BlinkMacSystemFont, sans-serif', // plot text on screen
+    // colors assigned to curves in creation order (cycled when there are more curves)
+    curveColors: [
+      '#dc3545',
+      '#007bff',
+      '#28a745',
+      '#fd7e14',
+      '#6f42c1',
+      '#17a2b8',
+      '#e83e8c',
+      '#6c757d',
+    ],
   },
 
   // Parameter bounds (Case 1-aligned)
@@ -23,10 +172,21 @@ window.DDRConfig = {
     eInf: { min: 0.0, max: 1.0 },
     hillSlope: { min: 0.0, max: 5.0 },
     ec50: { min: -8, max: 8 }, // bounds in log10 space
+    e0: { min: 0.5, max: 1.5 }, // free top asymptote (4PL / 5PL), fraction of control
+    asymmetry: { min: -1, max: 1 }, // 5PL asymmetry factor S, bounds in log10 space
   },
 
   // Optimizer controls
   optimizer: {
+    // 'case1': gradient attempt, then mesh + pattern search (below)
+    // 'lm': bounded Levenberg–Marquardt with analytic Jacobians (faster, more precise)
+    method: 'case1',
+
+    // Levenberg–Marquardt
+    lmMaxIterations: 200, // per start
+    lmTolerance: 1e-10, // stop when the relative objective decrease falls below this
+    lmLambda: 1e-3, // initial damping
+
     // Nelder–Mead (if used elsewhere)
     maxIterations: 100000,
     convergenceTolerance: 1e-6,
@@ -42,11 +202,20 @@ window.DDRConfig = {
   // Robust loss / residuals
   robust: {
     huberDelta: 0.05, // Huber delta in fractional space (0..1). Smaller => more robust (visible difference vs Hill)
+    // Tuning constants of the other robust losses (fractional space, see DDRModels.LOSSES); the
+    // defaults give about the same efficiency on clean data as Huber at 0.05
+    tukeyC: 0.17, // Tukey bisquare: residuals beyond c get no weight
+    cauchyC: 0.09, // Cauchy / Lorentzian scale
+    softL1C: 0.05, // soft-L1 transition from squared to absolute
     weights: {
       endpoints: 10, // extra weight on the first/last points
       midpoint: 10, // extra weight on central point (monophasic only)
       enableMidpointForMonophasic: true,
     },
+    // Per-point weights: 'positional' (weights above), 'uniform', 'inverseVariance' (replicate
+    // variance), 'inverseY2' (1 / Y²) or 'user' (per-point weights from the data table)
+    weighting: 'positional',
+    weightFloor: 1, // % viability: lower limit on replicate SD and |Y| for the data-driven schemes
   },
 
   // Mesh + pattern search (Case 1 fallback)
@@ -54,6 +223,8 @@ window.DDRConfig = {
     // grid densities per-parameter (log10 for EC50), then converted to linear for evaluation
     densitiesMono: [2, 10, 5],
     densitiesBiphasic: [2, 10, 5, 2, 10, 5],
+    densities4PL: [2, 10, 5, 4], // hillSlope, eInf, log10 EC50, E0
+    densities5PL: [2, 10, 5, 4, 4], // ... plus log10 S
     stepScale: 0.5, // step size base used to derive per-dimension step = stepScale / density
     span: 1.0, // initial span for pattern search
     precision: 1e-4, // stopping precision for span halving
@@ -69,3 +240,9 @@ window.DDRConfig = {
     },
   },
 };
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = DDRConfig;
+} else {
+  globalThis.DDRConfig = DDRConfig;
+}
@@ -0,0 +1,32 @@
+// Web Worker that runs DDRModels.fitDataset off the main thread (see DDRCurveFittingApp.fitCurve),
+// and bootstrap CIs (see DDRCurveFittingApp.runBootstrap).
+// In:  { seq, fitType, points, config, algorithm }
+// Out: { seq, result } or { seq, error }
+// In:  { seq, type: 'bootstrap', fittedCurve, points, config, algorithm }
+// Out: { seq, progress } per resample, then { seq, result } or { seq, error }
+/* eslint-env worker */
+/* global DDRModels */
+importScripts('models.js');
+
+function bootstrap({ seq, fittedCurve, points, config, algorithm }) {
+  const it = DDRModels.bootstrapIterator(fittedCurve, points, config, algorithm);
+  let step = it.next();
+  while (!step.done) {
+    self.postMessage({ seq, progress: step.value });
+    step = it.next();
+  }
+  return step.value;
+}
+
+self.onmessage = (event) => {
+  const { seq, type, fitType, points, config, algorithm } = event.data;
+  try {
+    const result =
+      type === 'bootstrap'
+        ? bootstrap(event.data)
+        : DDRModels.fitDataset(fitType, points, config, algorithm);
+    self.postMessage({ seq, result });
+  } catch (err) {
+    self.postMessage({ seq, error: String((err && err.message) || err) });
+  }
+};
@@ -0,0 +1,330 @@
+// Delimited-text (CSV/TSV) import helpers. Pure functions, no DOM access.
+// Wrapped in IIFE to attach to window as DDRImport (for file:// compatibility; CommonJS under Node)
+(function (global) {
+  // Multipliers that convert a concentration in the given unit to µM (the app's working unit)
+  const UNIT_TO_UM = {
+    m: 1e6,
+    mm: 1e3,
+    um: 1,
+    µm: 1,
+    μm: 1,
+    nm: 1e-3,
+    pm: 1e-6,
+  };
+
+  // Mappable fields: key, label, required, and header patterns used for auto-detection
+  const FIELDS = [
+    {
+      key: 'concentration',
+      label: 'Concentration',
+      required: true,
+      pattern: /conc|dose/i,
+      exclude: /unit/i,
+    },
+    { key: 'viability', label: 'Viability', required: true, pattern: /viab|response|%|signal/i },
+    {
+      key: 'unit',
+      label: 'Conc. unit',
+      required: false,
+      pattern: /^units?$|conc.*unit|dose.*unit/i,
+    },
+    { key: 'drug', label: 'Drug', required: false, pattern: /drug|compound|treatment/i },
+    { key: 'cellLine', label: 'Cell line', required: false, pattern: /cell|line|sample/i },
+    { key: 'replicate', label: 'Replicate', required: false, pattern: /rep/i },
+    { key: 'weight', label: 'Weight', required: false, pattern: /weight/i },
+  ];
+
+  function normalizeUnit(unit) {
+    if (unit === null || unit === undefined) {
+      return null;
+    }
+    const key = String(unit)
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, '')
+      .replace(/^\[|\]$/g, '');
+    return Object.prototype.hasOwnProperty.call(UNIT_TO_UM, key) ? key : null;
+  }
+
+  // Extract a unit from a header such as "Dose (nM)" or "conc_uM"
+  function unitFromHeader(header) {
+    const m = String(header || '').match(/[([_\s-]\s*(p|n|u|µ|μ|m)?M\s*[)\]]?\s*$/);
+    if (!m) {
+      return null;
+    }
+    return normalizeUnit((m[1] || '') + 'm');
+  }
+
+  function detectDelimiter(text) {
+    const lines = text
+      .split(/\r?\n/)
+      .filter((l) => l.trim() !== '')
+      .slice(0, 10);
+    let best = ',';
+    let bestScore = -1;
+    for (const d of ['\t', ',', ';']) {
+      const counts = lines.map((l) => l.split(d).length - 1);
+      const min = counts.length ? Math.min(...counts) : 0;
+      // Prefer delimiters that appear consistently on every line
+      const score = min > 0 ? min * 10 - (Math.max(...counts) - min) : 0;
+      if (score > bestScore) {
+        best = d;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF). Blank lines are skipped
+  // but original 1-based line numbers are kept so errors can point back to the file.
+  function parseDelimited(text, delimiter) {
+    const rows = [];
+    let field = '';
+    let row = [];
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    const pushRow = () => {
+      row.push(field);
+      if (row.length > 1 || row[0].trim() !== '') {
+        rows.push({ line: rowLine, cells: row });
+      }
+      row = [];
+      field = '';
+    };
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (inQuotes) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          inQuotes = false;
+        } else {
+          if (ch === '\n') {
+            line++;
+          }
+          field += ch;
+        }
+      } else if (ch === '"' && field.trim() === '') {
+        inQuotes = true;
+        field = '';
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        pushRow();
+        line++;
+        rowLine = line;
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length) {
+      pushRow();
+    }
+    return rows;
+  }
+
+  function parseNumber(value) {
+    if (value === null || value === undefined) {
+      return NaN;
+    }
+    const s = String(value).trim().replace(/%$/, '');
+    if (s === '' || !/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) {
+      return NaN;
+    }
+    return Number(s);
+  }
+
+  // A first row is a header when it holds any non-numeric cell while the next row is mostly numeric
+  function detectHeader(rows) {
+    if (rows.length === 0) {
+      return false;
+    }
+    const numericShare = (cells) =>
+      cells.filter((c) => isFinite(parseNumber(c))).length / Math.max(1, cells.length);
+    const first = numericShare(rows[0].cells);
+    if (rows.length === 1) {
+      return first < 1;
+    }
+    return first < numericShare(rows[1].cells);
+  }
+
+  function guessMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    for (const f of FIELDS) {
+      const idx = headers.findIndex(
+        (h, i) =>
+          !used.has(i) && f.pattern.test(String(h)) && !(f.exclude && f.exclude.test(String(h)))
+      );
+      mapping[f.key] = idx >= 0 ? idx : null;
+      if (idx >= 0) {
+        used.add(idx);
+      }
+    }
+    // Headerless files: fall back to the first two columns as concentration, viability
+    if (mapping.concentration === null && !used.has(0)) {
+      mapping.concentration = 0;
+    }
+    if (mapping.viability === null && !used.has(1) && headers.length > 1) {
+      mapping.viability = 1;
+    }
+    return mapping;
+  }
+
+  // Parse raw text into rows + headers + a suggested mapping. The caller may then adjust the
+  // mapping and call mapRows to obtain points.
+  function analyze(text, options = {}) {
+    const delimiter = options.delimiter || detectDelimiter(text);
+    const rows = parseDelimited(text.replace(/^\uFEFF/, ''), delimiter);
+    const hasHeader = options.hasHeader ?? detectHeader(rows);
+    const width = rows.reduce((m, r) => Math.max(m, r.cells.length), 0);
+    const headers = hasHeader
+      ? rows[0].cells.map((h, i) => h.trim() || `Column ${i + 1}`)
+      : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    while (headers.length < width) {
+      headers.push(`Column ${headers.length + 1}`);
+    }
+    return {
+      delimiter,
+      hasHeader,
+      headers,
+      rows: hasHeader ? rows.slice(1) : rows,
+      mapping: guessMapping(hasHeader ? headers : headers.map(() => '')),
+    };
+  }
+
+  // Convert parsed rows into data points using a column mapping.
+  // options.defaultUnit overrides the header unit; a unit column always wins per row.
+  // options.fallbackUnit applies when neither names a unit (default µM).
+  // options.viabilityScale: 'percent' | 'fraction' | 'auto' (fraction if every value is within 0..1.5)
+  function mapRows(parsed, mapping, options = {}) {
+    const errors = [];
+    const points = [];
+    const { rows, headers } = parsed;
+    const cell = (r, key) =>
+      mapping[key] === null || mapping[key] === undefined ? undefined : r.cells[mapping[key]];
+    for (const f of FIELDS) {
+      if (f.required && (mapping[f.key] === null || mapping[f.key] === undefined)) {
+        errors.push({ line: null, message: `No column mapped to ${f.label}` });
+      }
+    }
+    if (errors.length) {
+      return { points, errors };
+    }
+
+    const headerUnit = parsed.hasHeader ? unitFromHeader(headers[mapping.concentration]) : null;
+    const fallbackUnit =
+      normalizeUnit(options.defaultUnit) ||
+      headerUnit ||
+      normalizeUnit(options.fallbackUnit) ||
+      'um';
+
+    const staged = [];
+    for (const r of rows) {
+      const rawConc = parseNumber(cell(r, 'concentration'));
+      const rawViab = parseNumber(cell(r, 'viability'));
+      if (!isFinite(rawConc)) {
+        errors.push({
+          line: r.line,
+          message: `Invalid concentration "${cell(r, 'concentration') ?? ''}"`,
+        });
+        continue;
+      }
+      if (rawConc <= 0) {
+        errors.push({
+          line: r.line,
+          message: `Concentration must be > 0 for a log axis (got ${rawConc})`,
+        });
+        continue;
+      }
+      if (!isFinite(rawViab)) {
+        errors.push({ line: r.line, message: `Invalid viability "${cell(r, 'viability') ?? ''}"` });
+        continue;
+      }
+      let unit = fallbackUnit;
+      const unitCell = cell(r, 'unit');
+      if (unitCell !== undefined && String(unitCell).trim() !== '') {
+        unit = normalizeUnit(unitCell);
+        if (!unit) {
+          errors.push({ line: r.line, message: `Unknown concentration unit "${unitCell}"` });
+          continue;
+        }
+      }
+      const point = { concentration: rawConc * UNIT_TO_UM[unit], viability: rawViab };
+      for (const key of ['drug', 'cellLine', 'replicate']) {
+        const v = cell(r, key);
+        if (v !== undefined && String(v).trim() !== '') {
+          point[key] = String(v).trim();
+        }
+      }
+      // Per-point fit weight, used by the 'user' weighting scheme
+      const weightCell = cell(r, 'weight');
+      if (weightCell !== undefined && String(weightCell).trim() !== '') {
+        const weight = parseNumber(weightCell);
+        if (!(weight >= 0)) {
+          errors.push({ line: r.line, message: `Invalid weight "${weightCell}"` });
+          continue;
+        }
+        point.weight = weight;
+      }
+      staged.push(point);
+    }
+
+    let scale = options.viabilityScale || 'auto';
+    if (scale === 'auto') {
+      const fractional =
+        staged.length > 0 && staged.every((p) => p.viability >= -0.5 && p.viability <= 1.5);
+      scale = fractional ? 'fraction' : 'percent';
+    }
+    for (const p of staged) {
+      if (scale === 'fraction') {
+        p.viability *= 100;
+      }
+      points.push(p);
+    }
+    return { points, errors, viabilityScale: scale };
+  }
+
+  function pointGroupKey(p) {
+    return [p.drug, p.cellLine].filter(Boolean).join(' / ');
+  }
+
+  // Distinct drug / cell line combinations present in a set of imported points
+  function groupKeys(points) {
+    const keys = new Map();
+    for (const p of points) {
+      const key = pointGroupKey(p);
+      keys.set(key, (keys.get(key) || 0) + 1);
+    }
+    return Array.from(keys, ([key, count]) => ({ key, count }));
+  }
+
+  const DDRImport = {
+    FIELDS,
+    UNIT_TO_UM,
+    normalizeUnit,
+    unitFromHeader,
+    detectDelimiter,
+    parseDelimited,
+    parseNumber,
+    detectHeader,
+    guessMapping,
+    analyze,
+    mapRows,
+    groupKeys,
+    pointGroupKey,
+  };
+
+  // CommonJS export for Node (see tools/); otherwise attach to the page / worker global
+  if (typeof module === 'object' && module.exports) {
+    module.exports = DDRImport;
+  } else {
+    global.DDRImport = DDRImport;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,4 +1,5 @@
-// Wrapped in IIFE to attach to window as DDRModels (for file:// compatibility)
+// Wrapped in IIFE to attach to window as DDRModels (for file:// compatibility);
+// also loadable with require() under Node and importScripts() in a worker
 (function (global) {
   function hillFunction(x, params) {
     const [hs, eInf, ec50] = params;
@@ -14,6 +15,144 @@
     return phase1 * phase2;
   }
 
+  // Four-parameter logistic: Hill with a free top asymptote E0 (imperfect plate normalization)
+  function logistic4Function(x, params) {
+    const [hs, eInf, ec50, e0] = params;
+    const logX = Math.log10(x);
+    const logEC50 = Math.log10(ec50);
+    return eInf + (e0 - eInf) / (1 + Math.pow(10, hs * (logX - logEC50)));
+  }
+
+  // Five-parameter logistic: 4PL with an asymmetry factor S (S = 1 reduces to 4PL)
+  function logistic5Function(x, params) {
+    const [hs, eInf, ec50, e0, s] = params;
+    const logX = Math.log10(x);
+    const logEC50 = Math.log10(ec50);
+    return eInf + (e0 - eInf) / Math.pow(1 + Math.pow(10, hs * (logX - logEC50)), s);
+  }
+
+  // --- Analytic derivatives ---
+  // Each model is written in terms of v = 1 / (1 + e^z) with z = ln(10)·HS·(log10 x − log10 EC50).
+  // Derivatives are taken w.r.t. the working parameters (log10 for `log` parameters).
+
+  function logisticTerm(x, hs, ec50) {
+    const dLog = Math.log10(x) - Math.log10(ec50);
+    const z = Math.LN10 * hs * dLog;
+    // 1 / (1 + e^z) and ln(1 + e^z), without overflow for steep slopes or extreme doses
+    const v = z > 0 ? Math.exp(-z) / (1 + Math.exp(-z)) : 1 / (1 + Math.exp(z));
+    const softplus = z > 0 ? z + Math.log1p(Math.exp(-z)) : Math.log1p(Math.exp(z));
+    const dv = v * (1 - v) * Math.LN10; // −dv/dz, per unit of HS·log10 distance
+    return { v, softplus, dvdHs: -dv * dLog, dvdLogEC50: dv * hs };
+  }
+
+  // d/d[HS, E_inf, log10 EC50]
+  function hillJacobian(x, params) {
+    const [hs, eInf, ec50] = params;
+    const t = logisticTerm(x, hs, ec50);
+    return [(1 - eInf) * t.dvdHs, 1 - t.v, (1 - eInf) * t.dvdLogEC50];
+  }
+
+  function biphasicJacobian(x, params) {
+    const f1 = hillFunction(x, params.slice(0, 3));
+    const f2 = hillFunction(x, params.slice(3, 6));
+    const g1 = hillJacobian(x, params.slice(0, 3));
+    const g2 = hillJacobian(x, params.slice(3, 6));
+    return g1.map((d) => d * f2).concat(g2.map((d) => d * f1));
+  }
+
+  // d/d[HS, E_inf, log10 EC50, E0]
+  function logistic4Jacobian(x, params) {
+    const [hs, eInf, ec50, e0] = params;
+    const t = logisticTerm(x, hs, ec50);
+    return [(e0 - eInf) * t.dvdHs, 1 - t.v, (e0 - eInf) * t.dvdLogEC50, t.v];
+  }
+
+  // d/d[HS, E_inf, log10 EC50, E0, log10 S], using d(v^S) = S·v^(S−1)·dv and ln v = −softplus
+  function logistic5Jacobian(x, params) {
+    const [hs, eInf, ec50, e0, s] = params;
+    const t = logisticTerm(x, hs, ec50);
+    const vs = Math.pow(t.v, s);
+    const chain = t.v > 0 ? (s * vs) / t.v : 0;
+    return [
+      (e0 - eInf) * chain * t.dvdHs,
+      1 - vs,
+      (e0 - eInf) * chain * t.dvdLogEC50,
+      vs,
+      (e0 - eInf) * vs * -t.softplus * s * Math.LN10,
+    ];
+  }
+
+  // Per-model parameter layout. `bound` names the entry in config.bounds; `log` parameters are
+  // bounded, meshed and differentiated in log10 space (their config bounds are log10 values).
+  const MODEL_SPECS = {
+    monophasic: {
+      fn: hillFunction,
+      jacobian: hillJacobian,
+      params: [
+        { name: 'HS', bound: 'hillSlope' },
+        { name: 'E_inf', bound: 'eInf' },
+        { name: 'EC50', bound: 'ec50', log: true },
+      ],
+    },
+    biphasic: {
+      fn: biphasicFunction,
+      jacobian: biphasicJacobian,
+      params: [
+        { name: 'HS1', bound: 'hillSlope' },
+        { name: 'E_inf1', bound: 'eInf' },
+        { name: 'EC50_1', bound: 'ec50', log: true },
+        { name: 'HS2', bound: 'hillSlope' },
+        { name: 'E_inf2', bound: 'eInf' },
+        { name: 'EC50_2', bound: 'ec50', log: true },
+      ],
+    },
+    logistic4: {
+      fn: logistic4Function,
+      jacobian: logistic4Jacobian,
+      params: [
+        { name: 'HS', bound: 'hillSlope' },
+        { name: 'E_inf', bound: 'eInf' },
+        { name: 'EC50', bound: 'ec50', log: true },
+        { name: 'E0', bound: 'e0' },
+      ],
+    },
+    logistic5: {
+      fn: logistic5Function,
+      jacobian: logistic5Jacobian,
+      params: [
+        { name: 'HS', bound: 'hillSlope' },
+        { name: 'E_inf', bound: 'eInf' },
+        { name: 'EC50', bound: 'ec50', log: true },
+        { name: 'E0', bound: 'e0' },
+        { name: 'S', bound: 'asymmetry', log: true },
+      ],
+    },
+  };
+
+  // Parameter names per model, in params-array order (used for reporting and export)
+  const PARAM_NAMES = Object.fromEntries(
+    Object.entries(MODEL_SPECS).map(([type, spec]) => [type, spec.params.map((p) => p.name)])
+  );
+
+  function modelValue(fitType, x, params) {
+    return (MODEL_SPECS[fitType] || MODEL_SPECS.monophasic).fn(x, params);
+  }
+
+  // Gradient of the fraction-viability prediction at x w.r.t. the working parameters
+  function modelJacobian(fitType, x, params) {
+    return (MODEL_SPECS[fitType] || MODEL_SPECS.monophasic).jacobian(x, params);
+  }
+
+  function paramSpecs(fitType) {
+    return (MODEL_SPECS[fitType] || MODEL_SPECS.monophasic).params;
+  }
+
+  // [min, max] for a parameter in its bounding space (log10 for `log` parameters)
+  function paramRange(spec, bounds) {
+    const b = bounds[spec.bound];
+    return [b.min, b.max];
+  }
+
   function huberLoss(residual, delta = 1.0) {
     const a = Math.abs(residual);
     return a <= delta ? 0.5 * residual * residual : delta * (a - 0.5 * delta);
@@ -23,67 +162,214 @@
     return residual * residual;
   }
 
-  function lossByName(name, residual, delta) {
-    switch (name) {
-      case 'huber':
-        return huberLoss(residual, delta);
-      case 'hill':
-      case 'ols':
+  // Tukey bisquare: constant c²/6 beyond c, so gross outliers stop pulling altogether
+  function tukeyLoss(residual, c = 1.0) {
+    const u = residual / c;
+    return Math.abs(u) < 1 ? ((c * c) / 6) * (1 - Math.pow(1 - u * u, 3)) : (c * c) / 6;
+  }
+
+  // Cauchy / Lorentzian: grows only logarithmically for |r| ≫ c
+  function cauchyLoss(residual, c = 1.0) {
+    return ((c * c) / 2) * Math.log(1 + Math.pow(residual / c, 2));
+  }
+
+  function absoluteLoss(residual) {
+    return Math.abs(residual);
+  }
+
+  // Smooth L1: ≈ r² near 0, ≈ 2c|r| beyond c
+  function softL1Loss(residual, c = 1.0) {
+    return 2 * c * c * (Math.sqrt(1 + Math.pow(residual / c, 2)) - 1);
+  }
+
+  // Loss registry, keyed by the name stored as a curve's `algorithm`. Each entry has a label for
+  // the Loss selector, its tuning constant (a config.robust key in fractional residual units,
+  // with the fallback used when that is unset; null for losses without one), the loss ρ(r, c),
+  // and the IRLS weight ψ(r) / r used by levenbergMarquardt up to a common factor. `robust`
+  // losses bound the pull of large residuals (see fitDiagnostics).
+  const LOSSES = {
+    hill: {
+      label: 'Hill (least squares)',
+      constant: null,
+      robust: false,
+      loss: squaredLoss,
+      weight: () => 1,
+    },
+    huber: {
+      label: 'Huber',
+      constant: 'huberDelta',
+      fallback: 1.0,
+      robust: true,
+      loss: huberLoss,
+      weight: (r, c) => (Math.abs(r) > c ? c / Math.abs(r) : 1),
+    },
+    tukey: {
+      label: 'Tukey bisquare',
+      constant: 'tukeyC',
+      fallback: 0.17,
+      robust: true,
+      loss: tukeyLoss,
+      weight: (r, c) => (Math.abs(r) < c ? Math.pow(1 - Math.pow(r / c, 2), 2) : 0),
+    },
+    cauchy: {
+      label: 'Cauchy (Lorentzian)',
+      constant: 'cauchyC',
+      fallback: 0.09,
+      robust: true,
+      loss: cauchyLoss,
+      weight: (r, c) => 1 / (1 + Math.pow(r / c, 2)),
+    },
+    l1: {
+      label: 'L1 (absolute)',
+      constant: null,
+      robust: true,
+      loss: absoluteLoss,
+      // Floored so exactly fitted points do not get an infinite weight
+      weight: (r) => 1 / Math.max(Math.abs(r), 1e-6),
+    },
+    softL1: {
+      label: 'Soft L1',
+      constant: 'softL1C',
+      fallback: 0.05,
+      robust: true,
+      loss: softL1Loss,
+      weight: (r, c) => 1 / Math.sqrt(1 + Math.pow(r / c, 2)),
+    },
+  };
+
+  // Unknown names (e.g. 'ols') fall back to least squares
+  function lossByName(name, residual, constant) {
+    return (LOSSES[name] || LOSSES.hill).loss(residual, constant);
+  }
+
+  // Tuning constant of a loss from config.robust (or a legacy top-level key); null without one
+  function lossConstant(name, config) {
+    const loss = LOSSES[name] || LOSSES.hill;
+    if (!loss.constant) {
+      return null;
+    }
+    const robust = config.robust || {};
+    return robust[loss.constant] || config[loss.constant] || loss.fallback;
+  }
+
+  // Per-point weighting schemes for config.robust.weighting, in the order the UI lists them
+  const WEIGHTING_SCHEMES = {
+    positional: 'Positional (ends and middle)',
+    uniform: 'Uniform',
+    inverseVariance: 'Inverse replicate variance',
+    inverseY2: '1 / Y²',
+    user: 'Per point (data table)',
+  };
+
+  // Original scheme: extra weight on the two points at each end and, for single-phase models, on
+  // the middle point (config.robust.weights). Depends on position only, not on the data.
+  function positionalWeights(n, fitType, weights) {
+    const w = new Array(n).fill(1);
+    for (let i = 0; i < n; i++) {
+      if (i === 0 || i === 1 || i === n - 2 || i === n - 1) {
+        w[i] = weights.endpoints || 10;
+      }
+      if (fitType !== 'biphasic' && (weights.enableMidpointForMonophasic ?? true)) {
+        if (i === Math.floor(n / 2)) {
+          w[i] = weights.midpoint || 10;
+        }
+      }
+    }
+    return w;
+  }
+
+  // Variance (%²) behind each of the sorted `points`: the sample variance of its replicate set,
+  // or the variance of the mean for per-dose means (points with n / sd, see fitPointsForMode).
+  // Doses without replicates take the pooled within-dose variance (0 when there is none).
+  function replicateVariances(points, config) {
+    const tolerance = config.replicates && config.replicates.doseTolerance;
+    const means = points.every((p) => p.n !== undefined);
+    const sets = means
+      ? points.map((p) => ({ n: p.n, variance: p.sd * p.sd, size: 1 }))
+      : groupReplicates(points, tolerance).map((g) => ({
+          n: g.n,
+          variance: g.sd * g.sd,
+          size: g.n,
+        }));
+    let ss = 0;
+    let df = 0;
+    for (const s of sets) {
+      if (s.n > 1) {
+        ss += (s.n - 1) * s.variance;
+        df += s.n - 1;
+      }
+    }
+    const pooled = df > 0 ? ss / df : 0;
+    return sets.flatMap((s) => {
+      const variance = (s.n > 1 ? s.variance : pooled) / (means ? s.n : 1);
+      return new Array(s.size).fill(variance);
+    });
+  }
+
+  // Per-point weights of the objective for the sorted, included `points`, by
+  // config.robust.weighting (see WEIGHTING_SCHEMES):
+  //   positional       see positionalWeights
+  //   uniform          1 for every point
+  //   inverseVariance  1 / variance of the point's replicate set (see replicateVariances)
+  //   inverseY2        1 / Y², i.e. a constant relative error
+  //   user             each point's own `weight` (default 1)
+  // Replicate SDs and |Y| are floored at config.robust.weightFloor (% viability) so a dose with
+  // identical replicates or a point near 0 % cannot take over the fit. The data-driven schemes
+  // are scaled to a mean weight of 1; all-zero user weights count as uniform.
+  function pointWeights(points, fitType, config) {
+    const robust = config.robust || {};
+    const floor = robust.weightFloor || 1;
+    let w;
+    switch (robust.weighting || 'positional') {
+      case 'uniform':
+        return new Array(points.length).fill(1);
+      case 'inverseVariance':
+        w = replicateVariances(points, config).map((v) => 1 / Math.max(v, floor * floor));
+        break;
+      case 'inverseY2':
+        w = points.map((p) => 1 / Math.pow(Math.max(Math.abs(p.viability), floor), 2));
+        break;
+      case 'user':
+        w = points.map((p) => p.weight ?? 1);
+        break;
       default:
-        return squaredLoss(residual);
+        return positionalWeights(points.length, fitType, robust.weights || {});
     }
+    const mean = w.reduce((s, v) => s + v, 0) / w.length;
+    return mean > 0 ? w.map((v) => v / mean) : w.map(() => 1);
+  }
+
+  // Points that take part in fitting and metrics; user-excluded outliers stay in the dataset
+  // (drawn hollow, exported with a flag) but carry `excluded: true`
+  function includedPoints(points) {
+    return points.some((p) => p.excluded) ? points.filter((p) => !p.excluded) : points;
   }
 
   function objectiveFunction(params, dataPoints, fitType, config, algo) {
+    dataPoints = includedPoints(dataPoints);
     const bounds = config.bounds;
-    const huberDelta = (config.robust && config.robust.huberDelta) || config.huberDelta || 1.0;
-    const inRange = (v, lo, hi) => v >= lo && v <= hi;
+    const constant = lossConstant(algo, config);
+    // Slack absorbs log10 round trips of log parameters sitting exactly on a bound
+    const inRange = (v, lo, hi) => v >= lo - 1e-9 && v <= hi + 1e-9;
 
-    if (fitType === 'biphasic') {
-      const [hs1, eInf1, ec501, hs2, eInf2, ec502] = params;
-      if (
-        !(
-          inRange(hs1, bounds.hillSlope.min, bounds.hillSlope.max) &&
-          inRange(hs2, bounds.hillSlope.min, bounds.hillSlope.max) &&
-          inRange(eInf1, bounds.eInf.min, bounds.eInf.max) &&
-          inRange(eInf2, bounds.eInf.min, bounds.eInf.max) &&
-          inRange(Math.log10(ec501), bounds.ec50.min, bounds.ec50.max) &&
-          inRange(Math.log10(ec502), bounds.ec50.min, bounds.ec50.max)
-        )
-      )
-        return 1e12;
-    } else {
-      const [hs, eInf, ec50] = params;
-      if (
-        !(
-          inRange(hs, bounds.hillSlope.min, bounds.hillSlope.max) &&
-          inRange(eInf, bounds.eInf.min, bounds.eInf.max) &&
-          inRange(Math.log10(ec50), bounds.ec50.min, bounds.ec50.max)
-        )
-      )
+    const specs = paramSpecs(fitType);
+    for (let k = 0; k < specs.length; k++) {
+      const [lo, hi] = paramRange(specs[k], bounds);
+      const v = specs[k].log ? Math.log10(params[k]) : params[k];
+      if (!inRange(v, lo, hi)) {
         return 1e12;
+      }
     }
 
     let total = 0;
     const n = dataPoints.length;
+    const w = pointWeights(dataPoints, fitType, config);
     for (let i = 0; i < n; i++) {
       const p = dataPoints[i];
-      const pred =
-        fitType === 'biphasic'
-          ? biphasicFunction(p.concentration, params)
-          : hillFunction(p.concentration, params);
+      const pred = modelValue(fitType, p.concentration, params);
       const obs = p.viability / 100;
       const r = obs - pred;
-
-      const weights = (config.robust && config.robust.weights) || {};
-      let w = 1;
-      if (i === 0 || i === 1 || i === n - 2 || i === n - 1) w = weights.endpoints || 10;
-      if (fitType !== 'biphasic' && (weights.enableMidpointForMonophasic ?? true)) {
-        const mid = Math.floor(n / 2);
-        if (i === mid) w = weights.midpoint || 10;
-      }
-
-      total += w * lossByName(algo, r, huberDelta);
+      total += w[i] * lossByName(algo, r, constant);
     }
     return total;
   }
@@ -152,17 +438,14 @@
     return simplex[0].point;
   }
 
-  // Compute SSE and R^2 using plain squared error on % viability (for model selection)
+  // Compute SSE and R^2 using plain squared error on % viability
   function r2ForParams(params, fitType, sortedPoints) {
     if (!sortedPoints || sortedPoints.length === 0) return { sse: Infinity, r2: -Infinity };
     let ssr = 0;
     let sst = 0;
     const meanY = sortedPoints.reduce((s, p) => s + p.viability, 0) / sortedPoints.length;
     for (const p of sortedPoints) {
-      const pred =
-        (fitType === 'biphasic'
-          ? biphasicFunction(p.concentration, params)
-          : hillFunction(p.concentration, params)) * 100;
+      const pred = modelValue(fitType, p.concentration, params) * 100;
       ssr += Math.pow(p.viability - pred, 2);
       sst += Math.pow(p.viability - meanY, 2);
     }
@@ -170,14 +453,64 @@
     return { sse: ssr, r2 };
   }
 
+  // Group points whose doses agree within `tolerance` (log10 units) into replicate sets.
+  // Returns one entry per dose, ordered by concentration, with mean/SD/SEM/CV of % viability.
+  function groupReplicates(sortedPoints, tolerance = 0.01) {
+    const groups = [];
+    let current = null;
+    for (const p of sortedPoints) {
+      const logX = Math.log10(p.concentration);
+      if (!current || logX - current.logStart > tolerance) {
+        current = { logStart: logX, points: [] };
+        groups.push(current);
+      }
+      current.points.push(p);
+    }
+    return groups.map((g) => {
+      const n = g.points.length;
+      const logMean = g.points.reduce((s, p) => s + Math.log10(p.concentration), 0) / n;
+      const mean = g.points.reduce((s, p) => s + p.viability, 0) / n;
+      const variance =
+        n > 1 ? g.points.reduce((s, p) => s + Math.pow(p.viability - mean, 2), 0) / (n - 1) : 0;
+      const sd = Math.sqrt(variance);
+      return {
+        concentration: Math.pow(10, logMean),
+        mean,
+        sd,
+        sem: n > 1 ? sd / Math.sqrt(n) : 0,
+        cv: n > 1 && mean !== 0 ? (100 * sd) / Math.abs(mean) : null,
+        n,
+        points: g.points,
+      };
+    });
+  }
+
+  // Points to pass to the fitter: every included replicate, or one mean point per dose. Mean
+  // points keep the replicate count and SD, and the summed user weights (see pointWeights).
+  function fitPointsForMode(sortedPoints, config) {
+    const rep = config.replicates || {};
+    const points = includedPoints(sortedPoints);
+    if (rep.fitOn !== 'means') {
+      return points;
+    }
+    return groupReplicates(points, rep.doseTolerance).map((g) => ({
+      concentration: g.concentration,
+      viability: g.mean,
+      n: g.n,
+      sd: g.sd,
+      weight: g.points.reduce((s, p) => s + (p.weight ?? 1), 0),
+    }));
+  }
+
   // Build a small simplex around a center point by multiplicative jittering
   function buildJitteredSimplex(center, fitType, jitter = 0.1) {
-    const dim = fitType === 'biphasic' ? 6 : 3;
+    const specs = paramSpecs(fitType);
+    const dim = specs.length;
     const simplex = [center.slice()];
     for (let j = 0; j < dim; j++) {
       const p = center.slice();
-      // Smaller jitter for eInf parameters (index 1 and 4) to keep within [0,1]
-      const localJitter = j === 1 || j === 4 ? Math.min(0.05, jitter) : jitter;
+      // Smaller jitter for eInf parameters to keep within [0,1]
+      const localJitter = specs[j].bound === 'eInf' ? Math.min(0.05, jitter) : jitter;
       p[j] = Math.max(1e-9, p[j] * (1 + localJitter));
       simplex.push(p);
     }
@@ -215,26 +548,37 @@
       const e2 = Math.min(0.95, Math.max(eInf + 0.05, 0.0));
       return [1.2, eInf, ec1, 1.5, e2, ec2];
     }
+    if (fitType === 'logistic4' || fitType === 'logistic5') {
+      // Free top: start E0 at the mean response of the two lowest doses, and re-bracket the
+      // half-way point between top and bottom instead of 0.5
+      const b = config.bounds.e0;
+      const lowest = sortedPoints.slice(0, 2).map((p) => p.viability / 100);
+      const top = lowest.reduce((a, v) => a + v, 0) / lowest.length;
+      const e0 = Math.min(b.max, Math.max(b.min, top));
+      const half = (e0 + eInf) / 2;
+      let logMid = meanLogX;
+      for (let i = 0; i < xs.length - 1; i++) {
+        const y1 = sortedPoints[i].viability / 100;
+        const y2 = sortedPoints[i + 1].viability / 100;
+        if ((y1 - half) * (y2 - half) <= 0) {
+          logMid = xs[i] + ((half - y1) / (y2 - y1 || 1e-9)) * (xs[i + 1] - xs[i]);
+          break;
+        }
+      }
+      const guess = [1.5, eInf, Math.max(1e-9, Math.pow(10, logMid)), e0];
+      return fitType === 'logistic5' ? guess.concat([1]) : guess;
+    }
     return [1.5, eInf, ec50];
   }
 
   function projectToBounds(p, fitType, config) {
     const b = config.bounds;
-    const out = p.slice();
-    if (fitType === 'biphasic') {
-      // [hs1, e1, ec1, hs2, e2, ec2]
-      out[0] = Math.min(b.hillSlope.max, Math.max(b.hillSlope.min, out[0]));
-      out[1] = Math.min(b.eInf.max, Math.max(b.eInf.min, out[1]));
-      out[2] = Math.pow(10, Math.min(b.ec50.max, Math.max(b.ec50.min, Math.log10(out[2]))));
-      out[3] = Math.min(b.hillSlope.max, Math.max(b.hillSlope.min, out[3]));
-      out[4] = Math.min(b.eInf.max, Math.max(b.eInf.min, out[4]));
-      out[5] = Math.pow(10, Math.min(b.ec50.max, Math.max(b.ec50.min, Math.log10(out[5]))));
-    } else {
-      out[0] = Math.min(b.hillSlope.max, Math.max(b.hillSlope.min, out[0]));
-      out[1] = Math.min(b.eInf.max, Math.max(b.eInf.min, out[1]));
-      out[2] = Math.pow(10, Math.min(b.ec50.max, Math.max(b.ec50.min, Math.log10(out[2]))));
-    }
-    return out;
+    const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+    return p.map((v, i) => {
+      const spec = paramSpecs(fitType)[i];
+      const [lo, hi] = paramRange(spec, b);
+      return spec.log ? Math.pow(10, clamp(Math.log10(v), lo, hi)) : clamp(v, lo, hi);
+    });
   }
 
   function finiteDiffGrad(obj, p, eps = 1e-6) {
@@ -281,47 +625,40 @@
     return p;
   }
 
-  function meshEval(fitType, guess, sortedPoints, config, algo) {
+  // Fresh PRNG from config.fitting.seed, so every fit of the same data replays exactly
+  function fitRng(config) {
+    return createRng((config.fitting && config.fitting.seed) ?? 42);
+  }
+
+  function meshEval(fitType, guess, sortedPoints, config, algo, rng = fitRng(config)) {
     const inBounds = (p) => projectToBounds(p, fitType, config);
     let densities, steps;
+    const mesh = config.mesh || {};
     if (fitType === 'biphasic') {
-      densities = (config.mesh && config.mesh.densitiesBiphasic) || [2, 10, 5, 2, 10, 5];
+      densities = mesh.densitiesBiphasic || [2, 10, 5, 2, 10, 5];
+    } else if (fitType === 'logistic4') {
+      densities = mesh.densities4PL || [2, 10, 5, 4];
+    } else if (fitType === 'logistic5') {
+      densities = mesh.densities5PL || [2, 10, 5, 4, 4];
     } else {
-      densities = (config.mesh && config.mesh.densitiesMono) || [2, 10, 5];
+      densities = mesh.densitiesMono || [2, 10, 5];
     }
-    const stepScale = (config.mesh && config.mesh.stepScale) || 0.5;
+    const stepScale = mesh.stepScale || 0.5;
     steps = densities.map((d) => stepScale / d);
     const b = config.bounds;
+    const specs = paramSpecs(fitType);
     const grid = [];
-    const rangeFor = (idx) => {
-      if (fitType === 'biphasic') {
-        if (idx === 0 || idx === 3) return [b.hillSlope.min, b.hillSlope.max];
-        if (idx === 1 || idx === 4) return [b.eInf.min, b.eInf.max];
-        if (idx === 2 || idx === 5) return [b.ec50.min, b.ec50.max];
-      } else {
-        if (idx === 0) return [b.hillSlope.min, b.hillSlope.max];
-        if (idx === 1) return [b.eInf.min, b.eInf.max];
-        if (idx === 2) return [b.ec50.min, b.ec50.max];
-      }
-      return [0, 1];
-    };
+    const rangeFor = (idx) => (specs[idx] ? paramRange(specs[idx], b) : [0, 1]);
     const levels = densities.map((d, i) => {
       const [lo, hi] = rangeFor(i);
       const arr = [];
       for (let k = 0; k <= d; k++) arr.push(lo + (k / d) * (hi - lo));
       return arr;
     });
-    // Build candidates from log-space for EC50 and direct for others
+    // Build candidates from log-space for log parameters (EC50, S) and direct for others
     function buildCandidates(idx, prefix) {
       if (idx === densities.length) {
-        const p = prefix.slice();
-        // convert ec50 log to linear
-        if (fitType === 'biphasic') {
-          p[2] = Math.pow(10, p[2]);
-          p[5] = Math.pow(10, p[5]);
-        } else {
-          p[2] = Math.pow(10, p[2]);
-        }
+        const p = prefix.map((v, i) => (specs[i] && specs[i].log ? Math.pow(10, v) : v));
         grid.push(inBounds(p));
         return;
       }
@@ -333,7 +670,9 @@
     const maxCands = (config.mesh && config.mesh.maxCandidates) || 5000;
     if (candidates.length > maxCands) {
       const idxs = new Set();
-      while (idxs.size < maxCands) idxs.add(Math.floor(Math.random() * candidates.length));
+      while (idxs.size < maxCands) {
+        idxs.add(Math.floor(rng() * candidates.length));
+      }
       candidates = Array.from(idxs).map((i) => grid[i]);
     }
     const obj = (p) => objectiveFunction(p, sortedPoints, fitType, config, algo);
@@ -372,7 +711,7 @@
     return guess;
   }
 
-  function fitCase1Strategy(fitType, sortedPoints, config, algo) {
+  function fitCase1Strategy(fitType, sortedPoints, config, algo, rng = fitRng(config)) {
     const obj = (p) => objectiveFunction(p, sortedPoints, fitType, config, algo);
     // gritty guess from data
     let guess = computeGrittyGuess(fitType, sortedPoints, config);
@@ -386,13 +725,140 @@
     // If gradient attempt did not improve sufficiently, do mesh + pattern search
     const tol = (config.optimizer && config.optimizer.improvementTol) || 1e-6;
     if (!(currentVal < guessVal * (1 - tol))) {
-      const { best, steps, span, precision } = meshEval(fitType, guess, sortedPoints, config, algo);
+      const mesh = meshEval(fitType, guess, sortedPoints, config, algo, rng);
+      const { best, steps, span, precision } = mesh;
       current = patternSearch(fitType, best, sortedPoints, config, algo, steps, span, precision);
     }
     return current;
   }
 
+  // Bounded Levenberg–Marquardt from one start, in working parameters (log10 for log-scale
+  // entries) with the analytic model Jacobians. Robust losses are handled IRLS-style: each
+  // iteration reweights points by the loss's ψ(r) / r (see LOSSES) on top of pointWeights.
+  // Parameters on a bound whose gradient points outward are held fixed for the step and trial
+  // points are clamped into the box; a step is accepted only if objectiveFunction itself
+  // decreases. Excluded points take no part, as in objectiveFunction.
+  function levenbergMarquardt(fitType, start, sortedPoints, config, algo) {
+    const opt = config.optimizer || {};
+    const maxIter = opt.lmMaxIterations || 200;
+    const tol = opt.lmTolerance || 1e-10;
+    const ranges = paramSpecs(fitType).map((spec) => paramRange(spec, config.bounds));
+    const clamp = (theta) => theta.map((v, i) => Math.min(ranges[i][1], Math.max(ranges[i][0], v)));
+    const obj = (theta) =>
+      objectiveFunction(fromWorkingParams(fitType, theta), sortedPoints, fitType, config, algo);
+    const points = includedPoints(sortedPoints);
+    const baseWeights = pointWeights(points, fitType, config);
+    const loss = LOSSES[algo] || LOSSES.hill;
+    const constant = lossConstant(algo, config);
+    const k = ranges.length;
+
+    let theta = clamp(toWorkingParams(fitType, projectToBounds(start, fitType, config)));
+    let value = obj(theta);
+    let lambda = opt.lmLambda || 1e-3;
+    let iterations = 0;
+    let converged = false;
+    while (iterations < maxIter && !converged) {
+      iterations++;
+      const params = fromWorkingParams(fitType, theta);
+      const jtj = Array.from({ length: k }, () => new Array(k).fill(0));
+      const jtr = new Array(k).fill(0);
+      points.forEach((p, i) => {
+        const r = p.viability / 100 - modelValue(fitType, p.concentration, params);
+        const w = baseWeights[i] * loss.weight(r, constant);
+        const g = modelJacobian(fitType, p.concentration, params);
+        for (let a = 0; a < k; a++) {
+          jtr[a] += w * g[a] * r;
+          for (let b = 0; b < k; b++) {
+            jtj[a][b] += w * g[a] * g[b];
+          }
+        }
+      });
+      const free = [];
+      for (let a = 0; a < k; a++) {
+        const atLower = theta[a] <= ranges[a][0] && jtr[a] < 0;
+        const atUpper = theta[a] >= ranges[a][1] && jtr[a] > 0;
+        if (!atLower && !atUpper) {
+          free.push(a);
+        }
+      }
+      let accepted = false;
+      while (!accepted && lambda < 1e12 && free.length) {
+        // Marquardt damping scales the diagonal, so steps adapt to each parameter's curvature
+        const m = free.map((a) =>
+          free.map((b) => jtj[a][b] + (a === b ? lambda * Math.max(jtj[a][a], 1e-12) : 0))
+        );
+        const inv = invertMatrix(m);
+        if (inv) {
+          const trial = theta.slice();
+          free.forEach((a, ia) => {
+            for (let ib = 0; ib < free.length; ib++) {
+              trial[a] += inv[ia][ib] * jtr[free[ib]];
+            }
+          });
+          const next = clamp(trial);
+          const nextValue = obj(next);
+          if (nextValue < value) {
+            converged = value - nextValue <= tol * Math.max(value, 1e-12);
+            theta = next;
+            value = nextValue;
+            lambda = Math.max(lambda / 10, 1e-12);
+            accepted = true;
+          }
+        }
+        if (!accepted) {
+          lambda *= 10;
+        }
+      }
+      if (!accepted) {
+        converged = true; // no damping level improves the objective: a minimum
+      }
+    }
+    return { params: fromWorkingParams(fitType, theta), value, iterations, converged };
+  }
+
+  // LM fit of one model: the data-guided start plus starts with EC50(s) spread over the tested
+  // dose range, keeping the best. Returns the delta-method covariance at the solution as well
+  // (see parameterCovariance / standardErrors).
+  function fitLevenbergMarquardt(fitType, sortedPoints, config, algo) {
+    const guess = computeGrittyGuess(fitType, sortedPoints, config);
+    const logMin = Math.log10(sortedPoints[0].concentration);
+    const logMax = Math.log10(sortedPoints[sortedPoints.length - 1].concentration);
+    const ec50Idx = paramSpecs(fitType).flatMap((spec, i) => (spec.bound === 'ec50' ? [i] : []));
+    const starts = [guess];
+    for (const q of [0.25, 0.5, 0.75]) {
+      const start = guess.slice();
+      // Biphasic: first phase in the lower half of the range, second in the upper half
+      ec50Idx.forEach((i, j) => {
+        const frac = ec50Idx.length > 1 ? (j + q) / ec50Idx.length : q;
+        start[i] = Math.pow(10, logMin + frac * (logMax - logMin));
+      });
+      starts.push(start);
+    }
+    let best = null;
+    for (const start of starts) {
+      const result = levenbergMarquardt(fitType, start, sortedPoints, config, algo);
+      if (!best || result.value < best.value) {
+        best = result;
+      }
+    }
+    const covariance = parameterCovariance(fitType, best.params, sortedPoints, config);
+    return { ...best, covariance };
+  }
+
+  // Optimizer selected by config.optimizer.method: 'case1' (gradient attempt, then mesh +
+  // pattern search) or 'lm' (bounded Levenberg–Marquardt). Returns the parameter vector.
+  // `rng` drives the only randomized step (mesh downsampling); it defaults to a fresh PRNG from
+  // config.fitting.seed.
+  function fitModel(fitType, sortedPoints, config, algo, rng = fitRng(config)) {
+    const method = (config.optimizer && config.optimizer.method) || 'case1';
+    if (method === 'lm') {
+      return fitLevenbergMarquardt(fitType, sortedPoints, config, algo).params;
+    }
+    return fitCase1Strategy(fitType, sortedPoints, config, algo, rng);
+  }
+
   function calculateMetrics(fittedCurve, sortedPoints, config, algo, fitMonophasicForIC50Fn) {
+    sortedPoints = includedPoints(sortedPoints);
     const minPts = (config.fitting && config.fitting.minPointsForFit) || config.minPointsForFit || 5;
     if (!fittedCurve || sortedPoints.length < minPts) {
       return { rSquared: null, ic50: null, auc: null, emax: null };
@@ -403,10 +869,7 @@
     const meanY = sortedPoints.reduce((s, p) => s + p.viability, 0) / sortedPoints.length;
 
     for (const p of sortedPoints) {
-      const pred =
-        (fittedCurve.type === 'biphasic'
-          ? biphasicFunction(p.concentration, fittedCurve.params)
-          : hillFunction(p.concentration, fittedCurve.params)) * 100;
+      const pred = modelValue(fittedCurve.type, p.concentration, fittedCurve.params) * 100;
       ssr += Math.pow(p.viability - pred, 2);
       sst += Math.pow(p.viability - meanY, 2);
     }
@@ -418,32 +881,178 @@
       if (0.5 >= eInf && 0.5 <= 1.0 && 0.5 - eInf > 0) {
         ic50 = ec50 * Math.pow(0.5 / (0.5 - eInf), 1 / hs);
       }
+    } else if (fittedCurve.type === 'logistic4' || fittedCurve.type === 'logistic5') {
+      // Absolute IC50 (50% viability) from the closed-form inverse of the 4PL / 5PL curve
+      const [hs, eInf, ec50, e0] = fittedCurve.params;
+      const s = fittedCurve.type === 'logistic5' ? fittedCurve.params[4] : 1;
+      if (eInf < 0.5 && e0 > 0.5) {
+        const u = Math.pow((e0 - eInf) / (0.5 - eInf), 1 / s) - 1;
+        if (u > 0) {
+          ic50 = ec50 * Math.pow(u, 1 / hs);
+        }
+      }
     } else {
       const mono = fitMonophasicForIC50Fn(sortedPoints, config, algo);
       if (mono) ic50 = mono[2];
     }
 
-    const xs = sortedPoints.map((p) => Math.log10(p.concentration));
-    const ys = sortedPoints.map((p) => Math.min(p.viability, 100));
+    // Replicates share an x value, so integrate over per-dose means
+    const tolerance = (config.replicates && config.replicates.doseTolerance) || 0.01;
+    const doses = groupReplicates(sortedPoints, tolerance);
+    const xs = doses.map((g) => Math.log10(g.concentration));
+    const ys = doses.map((g) => Math.min(g.mean, 100));
     let auc = 0;
     for (let i = 0; i < xs.length - 1; i++) {
       auc += ((ys[i] + ys[i + 1]) / 2) * (xs[i + 1] - xs[i]);
     }
     auc /= 100;
 
-    let emax = null;
     const emaxMode = (config.fitting && config.fitting.emaxMode) || config.emaxMode || 'fromCurveAtMax';
-    if (emaxMode === 'fromCurveAtMax') {
-      const maxConc = Math.max(...sortedPoints.map((p) => p.concentration));
-      emax =
-        (fittedCurve.type === 'biphasic'
-          ? biphasicFunction(maxConc, fittedCurve.params)
-          : hillFunction(maxConc, fittedCurve.params)) * 100;
-    }
+    const emax = calculateEmax(fittedCurve, sortedPoints, emaxMode, doses);
 
     return { rSquared: r2, ic50, auc, emax };
   }
 
+  // Emax modes (config.fitting.emaxMode) with the description shown in the UI and CSV
+  const EMAX_MODES = {
+    fromCurveAtMax: 'fitted curve at top dose',
+    observedAtMax: 'observed mean at top dose',
+    minOverTestedRange: 'fitted minimum over tested range',
+    asymptotic: 'fitted E_inf (asymptote)',
+  };
+
+  // Emax as %viability; `doses` are the per-dose replicate groups of sortedPoints.
+  // Returns null for an unknown mode.
+  function calculateEmax(fittedCurve, sortedPoints, mode, doses) {
+    const at = (c) => modelValue(fittedCurve.type, c, fittedCurve.params) * 100;
+    const concs = sortedPoints.map((p) => p.concentration);
+    const minConc = Math.min(...concs);
+    const maxConc = Math.max(...concs);
+    switch (mode) {
+      case 'fromCurveAtMax':
+        return at(maxConc);
+      case 'observedAtMax':
+        return doses[doses.length - 1].mean;
+      case 'minOverTestedRange': {
+        // Dense log grid; biphasic curves can dip below their value at the top dose
+        const lo = Math.log10(minConc);
+        const hi = Math.log10(maxConc);
+        let min = Infinity;
+        for (let i = 0; i <= 400; i++) {
+          min = Math.min(min, at(Math.pow(10, lo + ((hi - lo) * i) / 400)));
+        }
+        return min;
+      }
+      case 'asymptotic': {
+        // Viability as dose → ∞: E_inf, or E_inf1 × E_inf2 for the biphasic product
+        const names = PARAM_NAMES[fittedCurve.type];
+        const eInfs = fittedCurve.params.filter((v, i) => /^E_inf/.test(names[i]));
+        return eInfs.reduce((prod, v) => prod * v, 1) * 100;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Composite Simpson's rule for fn on [a, b] (n even)
+  function simpson(fn, a, b, n = 200) {
+    const h = (b - a) / n;
+    let sum = fn(a) + fn(b);
+    for (let i = 1; i < n; i++) {
+      sum += fn(a + i * h) * (i % 2 ? 4 : 2);
+    }
+    return (sum * h) / 3;
+  }
+
+  // Smallest x in [lo, hi] with fn(x) <= 0: located on an n-step grid, then bisected. Returns
+  // lo when fn(lo) <= 0 already and null when fn stays positive.
+  function firstNonPositive(fn, lo, hi, n = 400) {
+    if (fn(lo) <= 0) {
+      return lo;
+    }
+    const h = (hi - lo) / n;
+    for (let i = 1; i <= n; i++) {
+      let b = lo + i * h;
+      if (fn(b) > 0) {
+        continue;
+      }
+      let a = b - h;
+      for (let k = 0; k < 60; k++) {
+        const m = (a + b) / 2;
+        if (fn(m) > 0) {
+          a = m;
+        } else {
+          b = m;
+        }
+      }
+      return b;
+    }
+    return null;
+  }
+
+  // Fitted-curve sensitivity metrics, all from the model rather than the raw points. Areas use
+  // log10 µM on x and viability clipped to 0–1 over config.metrics.rangeMin–rangeMax (µM), or
+  // the tested range when unset, so drugs tested over different spans can share one range:
+  //   aucFit  ∫ viability d log10 c          aac  ∫ (1 − viability) d log10 c
+  //   aucNorm aucFit / range width (0–1)
+  //   dss1–3  drug sensitivity scores (Yadav et al. 2014) on % inhibition above
+  //           metrics.dssThreshold, from where the curve crosses the threshold to the top dose
+  //   icx[x]  concentration where viability falls to (100 − x)%
+  //   ecx[x]  concentration giving x% of the curve's own effect (top to bottom asymptote)
+  // IC-x / EC-x are searched within the EC50 bounds and are null when the curve never crosses.
+  function sensitivityMetrics(fittedCurve, sortedPoints, config) {
+    const opts = config.metrics || {};
+    const v = (x) => modelValue(fittedCurve.type, Math.pow(10, x), fittedCurve.params);
+    const logs = sortedPoints.map((p) => Math.log10(p.concentration));
+    const lo = opts.rangeMin > 0 ? Math.log10(opts.rangeMin) : Math.min(...logs);
+    const hi = opts.rangeMax > 0 ? Math.log10(opts.rangeMax) : Math.max(...logs);
+    const width = hi - lo;
+    const out = { aucFit: null, aac: null, aucNorm: null, dss1: null, dss2: null, dss3: null };
+
+    if (width > 0) {
+      out.aucFit = simpson((x) => Math.min(1, Math.max(0, v(x))), lo, hi);
+      out.aac = width - out.aucFit;
+      out.aucNorm = out.aucFit / width;
+
+      const t = opts.dssThreshold ?? 10;
+      const inhibition = (x) => 100 * (1 - v(x));
+      const x1 = firstNonPositive((x) => t - inhibition(x), lo, hi);
+      if (x1 === null || x1 >= hi) {
+        out.dss1 = out.dss2 = out.dss3 = 0;
+      } else {
+        const area = simpson((x) => Math.max(0, inhibition(x) - t), x1, hi);
+        let aMax = t;
+        for (let i = 0; i <= 200; i++) {
+          aMax = Math.max(aMax, inhibition(x1 + ((hi - x1) * i) / 200));
+        }
+        out.dss1 = (100 * area) / ((100 - t) * (hi - x1));
+        out.dss2 = aMax > 1 ? out.dss1 / Math.log10(aMax) : 0;
+        out.dss3 = (out.dss2 * (hi - x1)) / width;
+      }
+    }
+
+    const ec50Bounds = (config.bounds && config.bounds.ec50) || { min: -8, max: 8 };
+    const crossing = (fn) => {
+      const x = firstNonPositive(fn, ec50Bounds.min, ec50Bounds.max);
+      return x === null || x === ec50Bounds.min ? null : Math.pow(10, x);
+    };
+    out.icx = {};
+    for (const level of opts.icLevels || []) {
+      out.icx[level] = crossing((x) => v(x) - (1 - level / 100));
+    }
+    const top = v(ec50Bounds.min);
+    const bottom = v(ec50Bounds.max);
+    out.ecx = {};
+    for (const level of opts.ecLevels || []) {
+      const target = top - (level / 100) * (top - bottom);
+      out.ecx[level] =
+        Math.abs(top - bottom) > 1e-9
+          ? crossing((x) => (v(x) - target) * Math.sign(top - bottom))
+          : null;
+    }
+    return out;
+  }
+
   function fitMonophasicForIC50(sortedPoints, config, algo) {
     if (!sortedPoints || sortedPoints.length < 2) return null;
     // Small, targeted multi-start for IC50 estimation (monophasic only)
@@ -469,20 +1078,687 @@
     return best ? best.params : null;
   }
 
-  global.DDRModels = {
+  // Small seedable PRNG (mulberry32); returns floats in [0, 1)
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function quantile(sortedValues, q) {
+    if (sortedValues.length === 0) {
+      return null;
+    }
+    const pos = (sortedValues.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sortedValues[lo] + (sortedValues[hi] - sortedValues[lo]) * (pos - lo);
+  }
+
+  // Draw one bootstrap dataset. 'residual': fitted values plus resampled residuals (%);
+  // 'case': resample points with replacement.
+  function resampleDataset(method, sortedPoints, fitType, params, rng) {
+    const n = sortedPoints.length;
+    let out;
+    if (method === 'case') {
+      out = [];
+      for (let i = 0; i < n; i++) {
+        out.push(sortedPoints[Math.floor(rng() * n)]);
+      }
+      out.sort((a, b) => a.concentration - b.concentration);
+    } else {
+      const fitted = sortedPoints.map((p) => modelValue(fitType, p.concentration, params) * 100);
+      const residuals = sortedPoints.map((p, i) => p.viability - fitted[i]);
+      // Other fields (user weights, replicate counts of mean points) stay with their dose
+      out = sortedPoints.map((p, i) => ({
+        ...p,
+        viability: fitted[i] + residuals[Math.floor(rng() * n)],
+      }));
+    }
+    return out;
+  }
+
+  // Bootstrap around fitModel. Implemented as a generator that yields progress after each
+  // resample so callers can spread the work over several event-loop turns; the final return value
+  // holds percentile CIs for every parameter and for IC50 / AUC / Emax.
+  function* bootstrapIterator(fittedCurve, sortedPoints, config, algo) {
+    const bs = config.bootstrap || {};
+    const method = bs.method || 'residual';
+    const nResamples = bs.nResamples || 200;
+    const level = bs.confidenceLevel || 0.95;
+    const seed = bs.seed ?? 12345;
+    const rng = createRng(seed);
+    const fitType = fittedCurve.type;
+    const minPts = (config.fitting && config.fitting.minPointsForFit) || 5;
+    const ic50Fn = (pts, cfg, a) => fitMonophasicForIC50(pts, cfg, a);
+
+    const names = PARAM_NAMES[fitType].concat(['IC50', 'AUC', 'Emax']);
+    const samples = names.map(() => []);
+    let failed = 0;
+    for (let b = 0; b < nResamples; b++) {
+      const data = resampleDataset(method, sortedPoints, fitType, fittedCurve.params, rng);
+      const distinctDoses = new Set(data.map((p) => p.concentration)).size;
+      if (distinctDoses < Math.min(minPts, 3)) {
+        failed++;
+      } else {
+        const params = fitModel(fitType, data, config, algo);
+        const m = calculateMetrics({ type: fitType, params }, data, config, algo, ic50Fn);
+        const values = params.concat([m.ic50, m.auc, m.emax]);
+        values.forEach((v, i) => {
+          if (v !== null && isFinite(v)) {
+            samples[i].push(v);
+          }
+        });
+      }
+      yield { done: b + 1, total: nResamples };
+    }
+
+    const base = calculateMetrics(fittedCurve, sortedPoints, config, algo, ic50Fn);
+    const estimates = fittedCurve.params.concat([base.ic50, base.auc, base.emax]);
+    const alpha = (1 - level) / 2;
+    const intervals = names.map((name, i) => {
+      const sorted = samples[i].slice().sort((a, b) => a - b);
+      return {
+        name,
+        estimate: estimates[i],
+        lower: quantile(sorted, alpha),
+        upper: quantile(sorted, 1 - alpha),
+        n: sorted.length,
+      };
+    });
+    return { method, nResamples, seed, level, failed, intervals };
+  }
+
+  // Synchronous convenience wrapper around bootstrapIterator
+  function bootstrapConfidenceIntervals(fittedCurve, sortedPoints, config, algo) {
+    const it = bootstrapIterator(fittedCurve, sortedPoints, config, algo);
+    let step = it.next();
+    while (!step.done) {
+      step = it.next();
+    }
+    return step.value;
+  }
+
+  // --- Distributions (for t-based bands and model-selection tests) ---
+
+  function logGamma(x) {
+    // Lanczos approximation (g = 7, n = 9)
+    const c = [
+      0.9999999999998099, 676.5203681218851, -1259.1392167224028, 771.3234287776531,
+      -176.61503916999186, 12.507343278686905, -0.13857109526572012, 9.984369578019572e-6,
+      1.5056327351493116e-7,
+    ];
+    if (x < 0.5) {
+      return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    }
+    x -= 1;
+    let a = c[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) {
+      a += c[i] / (x + i);
+    }
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+  }
+
+  // Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+  function betaContinuedFraction(a, b, x) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < tiny) {
+      d = tiny;
+    }
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 300; m++) {
+      const m2 = 2 * m;
+      let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) {
+        d = tiny;
+      }
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) {
+        c = tiny;
+      }
+      d = 1 / d;
+      h *= d * c;
+      aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) {
+        d = tiny;
+      }
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) {
+        c = tiny;
+      }
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < 1e-12) {
+        break;
+      }
+    }
+    return h;
+  }
+
+  // Regularized incomplete beta I_x(a, b)
+  function incompleteBeta(x, a, b) {
+    if (x <= 0) {
+      return 0;
+    }
+    if (x >= 1) {
+      return 1;
+    }
+    const lnFront =
+      logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+    if (x < (a + 1) / (a + b + 2)) {
+      return (Math.exp(lnFront) * betaContinuedFraction(a, b, x)) / a;
+    }
+    return 1 - (Math.exp(lnFront) * betaContinuedFraction(b, a, 1 - x)) / b;
+  }
+
+  function studentTCdf(t, df) {
+    const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+  }
+
+  // Inverse CDF of Student's t by bisection (adequate for band drawing)
+  function studentTQuantile(p, df) {
+    let lo = -1e3;
+    let hi = 1e3;
+    for (let i = 0; i < 200 && hi - lo > 1e-10; i++) {
+      const mid = 0.5 * (lo + hi);
+      if (studentTCdf(mid, df) < p) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    return 0.5 * (lo + hi);
+  }
+
+  // --- Linear algebra helpers ---
+
+  // Gauss–Jordan inverse with partial pivoting; returns null when (numerically) singular
+  function invertMatrix(m) {
+    const n = m.length;
+    const a = m.map((row, i) => row.concat(Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))));
+    const scale = Math.max(...m.map((row) => Math.max(...row.map(Math.abs)))) || 1;
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) {
+          pivot = r;
+        }
+      }
+      if (Math.abs(a[pivot][col]) < 1e-12 * scale) {
+        return null;
+      }
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+      const pv = a[col][col];
+      for (let j = 0; j < 2 * n; j++) {
+        a[col][j] /= pv;
+      }
+      for (let r = 0; r < n; r++) {
+        if (r === col) {
+          continue;
+        }
+        const f = a[r][col];
+        if (f === 0) {
+          continue;
+        }
+        for (let j = 0; j < 2 * n; j++) {
+          a[r][j] -= f * a[col][j];
+        }
+      }
+    }
+    return a.map((row) => row.slice(n));
+  }
+
+  // --- Delta-method covariance and confidence / prediction bands ---
+
+  // Indices of log-scale entries (EC50, S); these are handled in log10 space for the Jacobian
+  function logParamIndices(fitType) {
+    return paramSpecs(fitType).flatMap((spec, i) => (spec.log ? [i] : []));
+  }
+
+  function toWorkingParams(fitType, params) {
+    const logIdx = logParamIndices(fitType);
+    return params.map((v, i) => (logIdx.includes(i) ? Math.log10(v) : v));
+  }
+
+  function fromWorkingParams(fitType, theta) {
+    const logIdx = logParamIndices(fitType);
+    return theta.map((v, i) => (logIdx.includes(i) ? Math.pow(10, v) : v));
+  }
+
+  // Gradient of the % viability prediction at x w.r.t. working params
+  function predictionGradient(fitType, theta, x) {
+    return modelJacobian(fitType, x, fromWorkingParams(fitType, theta)).map((d) => d * 100);
+  }
+
+  // Asymptotic covariance s^2 (J^T W J)^-1 of the working params (EC50 as log10) over the
+  // included points, with W the fit's pointWeights (scaled to a mean of 1, so s^2 is the
+  // variance of an average-weight point) and s^2 the weighted residual variance
+  // Σ w r^2 / (n - p) on % viability. Returns null when there are no residual degrees of freedom
+  // or J^T W J is singular (e.g. a parameter pinned at a bound with no influence on the fit).
+  function parameterCovariance(fitType, params, sortedPoints, config) {
+    const pts = includedPoints(sortedPoints);
+    const k = params.length;
+    const df = pts.length - k;
+    if (df <= 0) {
+      return null;
+    }
+    const raw = pointWeights(pts, fitType, config);
+    const meanWeight = raw.reduce((s, v) => s + v, 0) / raw.length;
+    const w = raw.map((v) => v / meanWeight);
+    const theta = toWorkingParams(fitType, params);
+    const jtj = Array.from({ length: k }, () => new Array(k).fill(0));
+    let sse = 0;
+    pts.forEach((p, i) => {
+      const g = predictionGradient(fitType, theta, p.concentration);
+      for (let a = 0; a < k; a++) {
+        for (let b = 0; b < k; b++) {
+          jtj[a][b] += w[i] * g[a] * g[b];
+        }
+      }
+      sse += w[i] * Math.pow(p.viability - modelValue(fitType, p.concentration, params) * 100, 2);
+    });
+    const inv = invertMatrix(jtj);
+    if (!inv) {
+      return null;
+    }
+    const sigma2 = sse / df;
+    const cov = inv.map((row) => row.map((v) => v * sigma2));
+    return { cov, sigma2, df, logIndices: logParamIndices(fitType) };
+  }
+
+  // Standard errors on the natural parameter scale; log-scale entries are converted from their
+  // log10 variance with the delta method (SE(x) ≈ x · ln10 · SE(log10 x)). Null without covariance.
+  function standardErrors(fittedCurve, covariance) {
+    if (!covariance) {
+      return null;
+    }
+    return fittedCurve.params.map((v, i) => {
+      const se = Math.sqrt(Math.max(0, covariance.cov[i][i]));
+      return covariance.logIndices.includes(i) ? v * Math.LN10 * se : se;
+    });
+  }
+
+  // Pointwise bands (in %) at the given concentrations: the confidence band bounds the mean
+  // curve, the prediction band additionally includes residual scatter for a new observation.
+  function predictionBands(fittedCurve, covariance, concentrations, level = 0.95) {
+    if (!covariance) {
+      return null;
+    }
+    const { cov, sigma2, df } = covariance;
+    const fitType = fittedCurve.type;
+    const theta = toWorkingParams(fitType, fittedCurve.params);
+    const t = studentTQuantile(1 - (1 - level) / 2, df);
+    return concentrations.map((x) => {
+      const fit = modelValue(fitType, x, fittedCurve.params) * 100;
+      const g = predictionGradient(fitType, theta, x);
+      let varMean = 0;
+      for (let a = 0; a < g.length; a++) {
+        for (let b = 0; b < g.length; b++) {
+          varMean += g[a] * cov[a][b] * g[b];
+        }
+      }
+      const ci = t * Math.sqrt(Math.max(0, varMean));
+      const pi = t * Math.sqrt(Math.max(0, varMean) + sigma2);
+      return {
+        concentration: x,
+        fit,
+        ciLower: fit - ci,
+        ciUpper: fit + ci,
+        piLower: fit - pi,
+        piUpper: fit + pi,
+      };
+    });
+  }
+
+  // --- Residual diagnostics and outlier flags ---
+
+  // Inverse standard normal CDF (Acklam's rational approximation, relative error < 1.2e-9)
+  function normalQuantile(p) {
+    if (p <= 0) {
+      return -Infinity;
+    }
+    if (p >= 1) {
+      return Infinity;
+    }
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269,
+      -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972,
+      -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+      -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    if (p < 0.02425) {
+      return tail(Math.sqrt(-2 * Math.log(p)));
+    }
+    if (p > 1 - 0.02425) {
+      return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  // Per-point diagnostics of a fit, aligned with `sortedPoints` (the raw points, excluded ones
+  // included). Residuals are observed − fitted % viability. Over the included points:
+  //   leverage h   diagonal of the unweighted hat matrix J (JᵀJ)⁻¹ Jᵀ
+  //   standardized r / (s √(1 − h)), with s² = SSE / (n − p)
+  //   Cook's D     r² h / (p s² (1 − h)²); above 4 / n is commonly read as influential
+  // Outliers are judged on a robust fit: the curve itself for a robust loss, otherwise a Huber
+  // refit (least squares is pulled towards the outliers). Robust z = (r − median) / (1.4826 MAD)
+  // beyond config.diagnostics.outlierThreshold flags an included point. `qq` pairs the sorted
+  // standardized residuals (with the index of their point) with normal quantiles (Blom plotting
+  // positions).
+  function fitDiagnostics(fittedCurve, sortedPoints, config, algo) {
+    const opts = config.diagnostics || {};
+    const { type, params } = fittedCurve;
+    const k = params.length;
+    const residual = (p, prm) => p.viability - modelValue(type, p.concentration, prm) * 100;
+    const included = sortedPoints.filter((p) => !p.excluded);
+    const n = included.length;
+
+    const theta = toWorkingParams(type, params);
+    const grads = included.map((p) => predictionGradient(type, theta, p.concentration));
+    const jtj = Array.from({ length: k }, () => new Array(k).fill(0));
+    for (const g of grads) {
+      for (let a = 0; a < k; a++) {
+        for (let b = 0; b < k; b++) {
+          jtj[a][b] += g[a] * g[b];
+        }
+      }
+    }
+    const inv = n > k ? invertMatrix(jtj) : null;
+    const sse = included.reduce((s, p) => s + Math.pow(residual(p, params), 2), 0);
+    const s2 = n > k ? sse / (n - k) : null;
+
+    const robustParams =
+      LOSSES[algo] && LOSSES[algo].robust
+        ? params
+        : fitModel(type, fitPointsForMode(sortedPoints, config), config, 'huber');
+    const robust = sortedPoints.map((p) => residual(p, robustParams));
+    const kept = robust.filter((r, i) => !sortedPoints[i].excluded).sort((a, b) => a - b);
+    const median = quantile(kept, 0.5);
+    const mad = quantile(kept.map((r) => Math.abs(r - median)).sort((a, b) => a - b), 0.5);
+    // The floor keeps near-perfect fits (MAD ≈ 0) from flagging ordinary assay noise
+    const robustSd = Math.max(1.4826 * mad, opts.minResidualSd ?? 1);
+    const threshold = opts.outlierThreshold ?? 3.5;
+    const canFlag = n - k >= 2;
+
+    let j = 0;
+    const points = sortedPoints.map((p, i) => {
+      const r = residual(p, params);
+      const robustZ = (robust[i] - median) / robustSd;
+      const entry = {
+        residual: r,
+        robustZ,
+        outlier: !p.excluded && canFlag && Math.abs(robustZ) > threshold,
+        standardized: null,
+        leverage: null,
+        cooksDistance: null,
+      };
+      if (p.excluded) {
+        return entry;
+      }
+      const g = grads[j++];
+      if (inv) {
+        entry.leverage = 0;
+        for (let a = 0; a < k; a++) {
+          for (let b = 0; b < k; b++) {
+            entry.leverage += g[a] * inv[a][b] * g[b];
+          }
+        }
+      }
+      const h = entry.leverage;
+      if (s2 > 0 && h !== null && h < 1) {
+        entry.standardized = r / Math.sqrt(s2 * (1 - h));
+        entry.cooksDistance = (r * r * h) / (k * s2 * Math.pow(1 - h, 2));
+      } else if (s2 > 0) {
+        entry.standardized = r / Math.sqrt(s2);
+      }
+      return entry;
+    });
+
+    const sample = points
+      .map((d, index) => ({ index, sample: d.standardized }))
+      .filter((q) => q.sample !== null)
+      .sort((a, b) => a.sample - b.sample);
+    const qq = sample.map((q, i) => ({
+      ...q,
+      theoretical: normalQuantile((i + 1 - 0.375) / (sample.length + 0.25)),
+    }));
+    return {
+      points,
+      qq,
+      sigma: s2 !== null ? Math.sqrt(s2) : null,
+      robustSd,
+      threshold,
+      cooksCutoff: n > 0 ? 4 / n : null,
+      outliers: points.filter((d) => d.outlier).length,
+    };
+  }
+
+  // --- Model selection (monophasic vs biphasic) ---
+
+  // CDF of the F distribution with (d1, d2) degrees of freedom
+  function fDistributionCdf(x, d1, d2) {
+    if (x <= 0) {
+      return 0;
+    }
+    return incompleteBeta((d1 * x) / (d1 * x + d2), d1 / 2, d2 / 2);
+  }
+
+  // Information criteria from a (weighted) least-squares fit on % viability. k counts the model
+  // parameters plus one for the residual variance.
+  function informationCriteria(sse, n, nParams) {
+    const k = nParams + 1;
+    const logLikTerm = n * Math.log(Math.max(sse, 1e-12) / n);
+    const aic = logLikTerm + 2 * k;
+    const aicc = n - k - 1 > 0 ? aic + (2 * k * (k + 1)) / (n - k - 1) : null;
+    const bic = logLikTerm + k * Math.log(n);
+    return { aic, aicc, bic };
+  }
+
+  // Fit both models through fitModel and compare them by AICc, BIC and the
+  // extra-sum-of-squares F-test (monophasic is nested in biphasic with E_inf2 = 1).
+  // All three use the weighted SSE Σ w r² (% viability) over the included points, with one
+  // set of pointWeights (scaled to a mean of 1) for both candidates so their SSEs compare; the
+  // positional scheme's single-phase midpoint bonus is therefore left out of it.
+  // config.modelSelection.criterion picks which statistic makes the decision; when it cannot be
+  // computed (too few points) the next usable one is used, and `criterion` records which did.
+  // If the biphasic fit has no residual degrees of freedom, monophasic is kept ('default').
+  function selectModel(sortedPoints, config, algo) {
+    const ms = config.modelSelection || {};
+    const alpha = ms.alpha ?? 0.05;
+    const included = includedPoints(sortedPoints);
+    const n = included.length;
+    const raw = pointWeights(included, 'biphasic', config);
+    const meanWeight = raw.reduce((s, v) => s + v, 0) / n;
+    const weights = raw.map((v) => v / meanWeight);
+    const weightedSse = (params, fitType) =>
+      included.reduce((s, p, i) => {
+        const r = p.viability - modelValue(fitType, p.concentration, params) * 100;
+        return s + weights[i] * r * r;
+      }, 0);
+    const candidates = {};
+    for (const fitType of ['monophasic', 'biphasic']) {
+      const params = fitModel(fitType, sortedPoints, config, algo);
+      const sse = weightedSse(params, fitType);
+      const k = PARAM_NAMES[fitType].length;
+      candidates[fitType] = { params, sse, df: n - k, ...informationCriteria(sse, n, k) };
+    }
+    const mono = candidates.monophasic;
+    let bi = candidates.biphasic;
+    // Nested models: if the biphasic search ended worse than monophasic, use the monophasic
+    // solution embedded in the biphasic form (second phase flat at 1) so the tests stay valid.
+    if (bi.sse > mono.sse) {
+      const [hs, eInf, ec50] = mono.params;
+      const params = [hs, eInf, ec50, 1, 1, ec50];
+      const criteria = informationCriteria(mono.sse, n, PARAM_NAMES.biphasic.length);
+      bi = candidates.biphasic = { ...bi, params, sse: mono.sse, ...criteria };
+    }
+
+    const deltaAICc = mono.aicc !== null && bi.aicc !== null ? bi.aicc - mono.aicc : null;
+    const deltaBIC = bi.bic - mono.bic;
+    let fStat = null;
+    let pValue = null;
+    if (bi.df > 0 && mono.df > bi.df) {
+      const d1 = mono.df - bi.df;
+      fStat = Math.max(0, (mono.sse - bi.sse) / d1) / (bi.sse / bi.df || 1e-12);
+      pValue = 1 - fDistributionCdf(fStat, d1, bi.df);
+    }
+
+    const decide = {
+      aicc: () => (deltaAICc === null ? null : deltaAICc < 0 ? 'biphasic' : 'monophasic'),
+      // A saturated biphasic fit (no residual df) has a meaningless likelihood
+      bic: () => (bi.df <= 0 ? null : deltaBIC < 0 ? 'biphasic' : 'monophasic'),
+      ftest: () => (pValue === null ? null : pValue < alpha ? 'biphasic' : 'monophasic'),
+    };
+    const order = [ms.criterion || 'aicc'].concat(['aicc', 'ftest', 'bic']);
+    let chosen = null;
+    let criterion = null;
+    for (const c of order) {
+      chosen = decide[c] ? decide[c]() : null;
+      if (chosen) {
+        criterion = c;
+        break;
+      }
+    }
+    // Too few points to test the biphasic model at all: keep the simpler one
+    if (!chosen) {
+      chosen = 'monophasic';
+      criterion = 'default';
+    }
+    return {
+      chosen,
+      criterion,
+      requestedCriterion: ms.criterion || 'aicc',
+      alpha,
+      n,
+      deltaAICc,
+      deltaBIC,
+      fStat,
+      pValue,
+      candidates,
+    };
+  }
+
+  // Full fitting pipeline for one dataset, shared by the app and the Node batch fitter:
+  // replicate handling, model fit (or automatic selection), metrics, covariance and residual
+  // diagnostics.
+  function fitDataset(fitType, sortedPoints, config, algo) {
+    const points = fitPointsForMode(sortedPoints, config);
+    let fittedCurve;
+    let modelSelection = null;
+    if (fitType === 'auto') {
+      modelSelection = selectModel(points, config, algo);
+      const chosen = modelSelection.chosen;
+      fittedCurve = { type: chosen, params: modelSelection.candidates[chosen].params };
+    } else {
+      fittedCurve = { type: fitType, params: fitModel(fitType, points, config, algo) };
+    }
+    return {
+      ...evaluateFit(fittedCurve, points, config, algo),
+      modelSelection,
+      diagnostics: fitDiagnostics(fittedCurve, sortedPoints, config, algo),
+      points,
+    };
+  }
+
+  // Metrics (calculateMetrics plus sensitivityMetrics) and covariance for given parameters
+  // without refitting (e.g. a reloaded session). `points` are the fit points (see
+  // fitPointsForMode).
+  function evaluateFit(fittedCurve, points, config, algo) {
+    const base = calculateMetrics(fittedCurve, points, config, algo, (pts, cfg, a) =>
+      fitMonophasicForIC50(pts, cfg, a)
+    );
+    const metrics =
+      base.rSquared === null
+        ? base
+        : { ...base, ...sensitivityMetrics(fittedCurve, includedPoints(points), config) };
+    const covariance = parameterCovariance(fittedCurve.type, fittedCurve.params, points, config);
+    return { fittedCurve, metrics, modelSelection: null, covariance };
+  }
+
+  const DDRModels = {
     hillFunction,
     biphasicFunction,
+    logistic4Function,
+    logistic5Function,
+    MODEL_SPECS,
+    paramSpecs,
     huberLoss,
     squaredLoss,
+    tukeyLoss,
+    cauchyLoss,
+    absoluteLoss,
+    softL1Loss,
+    LOSSES,
     lossByName,
+    lossConstant,
     objectiveFunction,
     nelderMead,
     r2ForParams,
+    groupReplicates,
+    includedPoints,
+    fitPointsForMode,
     buildJitteredSimplex,
     computeGrittyGuess,
     projectToBounds,
     fitCase1Strategy,
+    levenbergMarquardt,
+    fitLevenbergMarquardt,
+    fitModel,
+    modelJacobian,
+    WEIGHTING_SCHEMES,
+    pointWeights,
     calculateMetrics,
+    calculateEmax,
+    EMAX_MODES,
+    sensitivityMetrics,
     fitMonophasicForIC50,
+    PARAM_NAMES,
+    modelValue,
+    createRng,
+    quantile,
+    resampleDataset,
+    bootstrapIterator,
+    bootstrapConfidenceIntervals,
+    logGamma,
+    incompleteBeta,
+    studentTCdf,
+    studentTQuantile,
+    invertMatrix,
+    parameterCovariance,
+    predictionBands,
+    standardErrors,
+    normalQuantile,
+    fitDiagnostics,
+    fDistributionCdf,
+    informationCriteria,
+    selectModel,
+    fitDataset,
+    evaluateFit,
   };
-})(window);
+
+  // CommonJS export for Node (see tools/); otherwise attach to the page / worker global
+  if (typeof module === 'object' && module.exports) {
+    module.exports = DDRModels;
+  } else {
+    global.DDRModels = DDRModels;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
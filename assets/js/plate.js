@@ -0,0 +1,453 @@
+// Plate-reader import: raw 96/384-well reads plus a plate layout, normalized to % viability
+// from the control wells, with per-plate QC. Pure functions, no DOM access.
+// Wrapped in IIFE to attach to window as DDRPlate (for file:// compatibility; CommonJS under Node)
+(function (global) {
+  const DDRImport =
+    typeof module === 'object' && module.exports ? require('./importer.js') : global.DDRImport;
+
+  // Supported plate formats by column count
+  const FORMATS = {
+    12: { wells: 96, rows: 8, cols: 12 },
+    24: { wells: 384, rows: 16, cols: 24 },
+  };
+  const ROW_LETTERS = 'ABCDEFGHIJKLMNOP';
+
+  // Layout labels that mark control wells (case-insensitive). Negative controls (vehicle) define
+  // 100% viability, positive controls (full kill / background) define 0%.
+  const CONTROL_PATTERNS = {
+    neg: /^(neg(ative)?([\s_-]*(ctrl|control))?|nc|vehicle|dmso|untreated)$/i,
+    pos: /^(pos(itive)?([\s_-]*(ctrl|control))?|pc|kill|background|blank)$/i,
+  };
+
+  function controlType(label) {
+    const s = String(label || '').trim();
+    if (CONTROL_PATTERNS.neg.test(s)) {
+      return 'neg';
+    }
+    if (CONTROL_PATTERNS.pos.test(s)) {
+      return 'pos';
+    }
+    return null;
+  }
+
+  function wellName(row, col) {
+    return `${ROW_LETTERS[row]}${col + 1}`;
+  }
+
+  // "B7", "b07" or "B-07" -> { row: 1, col: 6 }; null when not a well name
+  function parseWell(name) {
+    const m = String(name || '')
+      .trim()
+      .match(/^([A-P])[\s-]*0*(\d{1,2})$/i);
+    if (!m) {
+      return null;
+    }
+    const col = Number(m[2]) - 1;
+    if (col < 0 || col >= 24) {
+      return null;
+    }
+    return { row: ROW_LETTERS.indexOf(m[1].toUpperCase()), col };
+  }
+
+  function isEdge(row, col, format) {
+    return row === 0 || col === 0 || row === format.rows - 1 || col === format.cols - 1;
+  }
+
+  function mean(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  }
+
+  function sd(values) {
+    if (values.length < 2) {
+      return null;
+    }
+    const m = mean(values);
+    return Math.sqrt(values.reduce((s, v) => s + (v - m) * (v - m), 0) / (values.length - 1));
+  }
+
+  // Plate exports often start with label lines that hold no delimiter, so pick the delimiter
+  // that occurs most often overall rather than on every line
+  function detectDelimiter(text) {
+    let best = ',';
+    let bestCount = 0;
+    for (const d of ['\t', ',', ';']) {
+      const count = text.split(d).length - 1;
+      if (count > bestCount) {
+        best = d;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  // Split delimited text into plate-shaped blocks. Each grid row is 12 or 24 cells, optionally
+  // preceded by its row letter; a "1 2 3 … n" column header row is skipped, and the last text
+  // line before a block names the plate. The row label and width are read before blank trailing
+  // cells are dropped, and short rows are padded with blanks (missing reads / empty wells), so a
+  // blank last well never shifts a row. Row letters must run A, B, C… within a grid.
+  // Returns { grids: [{ name, line, format, cells }], errors }.
+  function scanGrids(text) {
+    const rows = DDRImport.parseDelimited(text.replace(/^\uFEFF/, ''), detectDelimiter(text));
+    const grids = [];
+    const errors = [];
+    let current = null;
+    let label = null;
+    const close = () => {
+      if (current && current.cells.length !== current.format.rows) {
+        errors.push({
+          line: current.line,
+          message: `Plate grid has ${current.cells.length} rows, expected ${current.format.rows}`,
+        });
+      } else if (current) {
+        grids.push(current);
+      }
+      current = null;
+    };
+
+    for (const r of rows) {
+      const raw = r.cells.map((c) => c.trim());
+      const lead = raw.length ? raw[0] : '';
+      const letter = /^[A-P]$/i.test(lead) ? lead.toUpperCase() : null;
+      // A blank first cell is a header corner or an unlabelled row when the rest is plate-wide
+      const data = letter || (lead === '' && FORMATS[raw.length - 1]) ? raw.slice(1) : raw;
+      let filled = data.length;
+      while (filled && data[filled - 1] === '') {
+        filled--;
+      }
+      const open = current && current.cells.length < current.format.rows;
+      let format = null;
+      if (filled > 0) {
+        if (open && filled <= current.format.cols && (letter || data.length >= 2)) {
+          format = current.format;
+        } else if (FORMATS[data.length] || FORMATS[filled]) {
+          format = FORMATS[data.length] || FORMATS[filled];
+        } else if (letter) {
+          format = Object.values(FORMATS).find((f) => filled <= f.cols) || null;
+        }
+      }
+      const cells = format ? data.slice(0, format.cols) : [];
+      while (format && cells.length < format.cols) {
+        cells.push('');
+      }
+      const isHeader = format && cells.every((c, i) => DDRImport.parseNumber(c) === i + 1);
+      if (!format || isHeader) {
+        close();
+        if (!isHeader && raw.some((c) => c !== '')) {
+          label = raw.filter((c) => c).join(' ');
+        }
+        continue;
+      }
+      if (current && (current.format !== format || current.cells.length === format.rows)) {
+        close();
+      }
+      if (!current) {
+        current = { name: label, line: r.line, format, cells: [] };
+        label = null;
+      }
+      const expected = ROW_LETTERS[current.cells.length];
+      if (letter && letter !== expected) {
+        errors.push({ line: r.line, message: `Row ${letter} found where row ${expected} belongs` });
+      }
+      current.cells.push(cells);
+    }
+    close();
+    return { grids, errors };
+  }
+
+  // Raw reads: one or more plate grids of numbers. Empty or non-numeric cells are missing reads.
+  // Returns { plates: [{ name, format, values }], errors }.
+  function parsePlates(text) {
+    const { grids, errors } = scanGrids(text);
+    const plates = grids.map((g, i) => ({
+      name: g.name || `Plate ${i + 1}`,
+      format: g.format,
+      values: g.cells.map((row) => row.map((c) => DDRImport.parseNumber(c))),
+    }));
+    if (plates.length === 0 && errors.length === 0) {
+      errors.push({ line: null, message: 'No 96- or 384-well plate grid found' });
+    }
+    return { plates, errors };
+  }
+
+  // Layout cell: NEG / POS (see CONTROL_PATTERNS), empty, or "compound@dose" with an optional
+  // unit after the dose ("Drug A@10 nM")
+  function parseLayoutCell(cell, unit) {
+    const s = String(cell || '').trim();
+    if (s === '' || s === '-' || /^empty$/i.test(s)) {
+      return { entry: null };
+    }
+    const type = controlType(s);
+    if (type) {
+      return { entry: { type } };
+    }
+    const m = s.match(/^(.*?)\s*@\s*([^\s]+)\s*([^\s]*)$/);
+    if (!m || !m[1]) {
+      return { error: `expected "compound@dose", NEG or POS, got "${s}"` };
+    }
+    return sampleEntry(m[1], m[2], m[3] || unit);
+  }
+
+  function sampleEntry(compound, dose, unit) {
+    const value = DDRImport.parseNumber(dose);
+    if (!(value > 0)) {
+      return { error: `dose must be a positive number, got "${dose}"` };
+    }
+    const key = DDRImport.normalizeUnit(unit);
+    if (!key) {
+      return { error: `unknown concentration unit "${unit}"` };
+    }
+    return {
+      entry: {
+        type: 'sample',
+        compound: String(compound).trim(),
+        concentration: value * DDRImport.UNIT_TO_UM[key],
+      },
+    };
+  }
+
+  // Long layouts: one row per well with Well, Compound and Dose columns (a Type column or a
+  // NEG / POS compound marks controls)
+  function parseLongLayout(text, unit) {
+    const parsed = DDRImport.analyze(text, { hasHeader: true });
+    const find = (pattern, exclude) =>
+      parsed.headers.findIndex((h) => pattern.test(h) && !(exclude && exclude.test(h)));
+    const col = {
+      well: find(/well/i),
+      compound: find(/compound|drug|content|sample|treatment|name/i),
+      dose: find(/conc|dose/i, /unit/i),
+      type: find(/type|role|control/i),
+      unit: find(/^units?$|conc.*unit|dose.*unit/i),
+    };
+    const headerUnit = col.dose >= 0 ? DDRImport.unitFromHeader(parsed.headers[col.dose]) : null;
+    const wells = {};
+    const errors = [];
+    if (col.compound < 0 && col.type < 0) {
+      errors.push({ line: null, message: 'Layout needs a Compound or Type column' });
+      return { wells, errors };
+    }
+    for (const r of parsed.rows) {
+      const cell = (i) => (i >= 0 ? String(r.cells[i] ?? '').trim() : '');
+      const pos = parseWell(cell(col.well));
+      if (!pos) {
+        errors.push({ line: r.line, message: `Invalid well "${cell(col.well)}"` });
+        continue;
+      }
+      const type = controlType(cell(col.type)) || controlType(cell(col.compound));
+      let result;
+      if (type) {
+        result = { entry: { type } };
+      } else if (cell(col.compound) === '') {
+        result = { entry: null };
+      } else if (col.dose < 0) {
+        result = { error: 'no Dose / Concentration column' };
+      } else {
+        result = sampleEntry(
+          cell(col.compound),
+          cell(col.dose),
+          cell(col.unit) || headerUnit || unit
+        );
+      }
+      if (result.error) {
+        errors.push({ line: r.line, message: result.error });
+      } else if (result.entry) {
+        wells[wellName(pos.row, pos.col)] = result.entry;
+      }
+    }
+    return { wells, errors };
+  }
+
+  // Plate layout as a grid of labels (same shape as the reads) or as a long Well/Compound/Dose
+  // table. Doses without a unit are read in `unit` (default µM). The layout applies to every
+  // plate. Returns { wells: { A1: { type: 'neg' | 'pos' | 'sample', compound, concentration } },
+  // errors }.
+  function parseLayout(text, options = {}) {
+    const unit = options.unit || 'uM';
+    const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+    if (/(^|[\t,;])\s*"?well\b/i.test(firstLine)) {
+      return parseLongLayout(text, unit);
+    }
+
+    const { grids, errors } = scanGrids(text);
+    const wells = {};
+    if (grids.length === 0 && errors.length === 0) {
+      errors.push({ line: null, message: 'No layout grid or Well column found' });
+    }
+    grids.slice(0, 1).forEach((g) => {
+      g.cells.forEach((row, i) =>
+        row.forEach((cell, j) => {
+          const result = parseLayoutCell(cell, unit);
+          const name = wellName(i, j);
+          if (result.error) {
+            errors.push({ line: g.line + i, message: `${name}: ${result.error}` });
+          } else if (result.entry) {
+            wells[name] = result.entry;
+          }
+        })
+      );
+    });
+    if (grids.length > 1) {
+      errors.push({ line: grids[1].line, message: 'Only the first layout grid is used' });
+    }
+    return { wells, errors };
+  }
+
+  // Normalize one plate against its own controls and compute QC:
+  //   viability = 100 × (read − mean POS) / (mean NEG − mean POS)
+  //   Z′ = 1 − 3 (SD NEG + SD POS) / |mean NEG − mean POS|
+  // Edge effects compare the outer ring of wells with the interior, for negative controls
+  // (relative difference of raw reads) and for compound/dose replicates placed in both (difference
+  // in % viability). Returns { points, qc }; points carry drug, well and plate.
+  function normalizePlate(plate, layout, options = {}) {
+    const { zPrimeMin = 0.5, cvMax = 20, edgeThreshold = 15 } = options;
+    const reads = { neg: [], pos: [] };
+    const samples = [];
+    const warnings = [];
+    let missing = 0;
+    let outside = 0;
+    for (const [name, entry] of Object.entries(layout.wells)) {
+      const { row, col } = parseWell(name);
+      if (row >= plate.format.rows || col >= plate.format.cols) {
+        outside++;
+        continue;
+      }
+      const value = plate.values[row][col];
+      if (!isFinite(value)) {
+        missing++;
+        continue;
+      }
+      const well = { name, value, edge: isEdge(row, col, plate.format), entry };
+      if (entry.type === 'sample') {
+        samples.push(well);
+      } else {
+        reads[entry.type].push(well);
+      }
+    }
+
+    const stats = (wells) => {
+      const values = wells.map((w) => w.value);
+      const m = mean(values);
+      const s = sd(values);
+      return {
+        n: values.length,
+        mean: m,
+        sd: s,
+        cv: s !== null && m ? (100 * s) / Math.abs(m) : null,
+      };
+    };
+    const neg = stats(reads.neg);
+    const pos = stats(reads.pos);
+    const qc = { plate: plate.name, wells: plate.format.wells, neg, pos, zPrime: null, warnings };
+    if (outside) {
+      warnings.push(`${outside} layout wells lie outside this ${plate.format.wells}-well plate`);
+    }
+    if (missing) {
+      warnings.push(`${missing} wells have no read`);
+    }
+    if (!neg.n || !pos.n) {
+      warnings.push('Needs both NEG and POS control wells to normalize');
+      return { points: [], qc };
+    }
+    const span = neg.mean - pos.mean;
+    if (!(span > 0)) {
+      warnings.push('NEG controls do not read above POS controls; plate not normalized');
+      return { points: [], qc };
+    }
+
+    if (neg.sd !== null && pos.sd !== null) {
+      qc.zPrime = 1 - (3 * (neg.sd + pos.sd)) / span;
+      if (qc.zPrime < zPrimeMin) {
+        warnings.push(`Z′ ${qc.zPrime.toFixed(2)} is below ${zPrimeMin}`);
+      }
+    }
+    for (const [label, s] of [
+      ['NEG', neg],
+      ['POS', pos],
+    ]) {
+      if (s.cv !== null && s.cv > cvMax) {
+        warnings.push(`${label} control CV ${s.cv.toFixed(1)}% is above ${cvMax}%`);
+      }
+    }
+
+    const points = samples.map((w) => ({
+      concentration: w.entry.concentration,
+      viability: (100 * (w.value - pos.mean)) / span,
+      drug: w.entry.compound,
+      well: w.name,
+      plate: plate.name,
+    }));
+
+    // Edge effects
+    const edgeNeg = reads.neg.filter((w) => w.edge).map((w) => w.value);
+    const innerNeg = reads.neg.filter((w) => !w.edge).map((w) => w.value);
+    qc.edgeControlShift =
+      edgeNeg.length >= 2 && innerNeg.length >= 2
+        ? (100 * (mean(edgeNeg) - mean(innerNeg))) / mean(innerNeg)
+        : null;
+    const byDose = new Map();
+    samples.forEach((w, i) => {
+      const key = `${w.entry.compound}@${w.entry.concentration}`;
+      if (!byDose.has(key)) {
+        byDose.set(key, { edge: [], inner: [] });
+      }
+      byDose.get(key)[w.edge ? 'edge' : 'inner'].push(points[i].viability);
+    });
+    const shifts = Array.from(byDose.values())
+      .filter((g) => g.edge.length && g.inner.length)
+      .map((g) => mean(g.edge) - mean(g.inner));
+    qc.edgeSampleShift = shifts.length >= 3 ? mean(shifts) : null;
+    if (qc.edgeControlShift !== null && Math.abs(qc.edgeControlShift) > edgeThreshold) {
+      const dir = qc.edgeControlShift < 0 ? 'low' : 'high';
+      warnings.push(
+        `Edge effect: outer-ring NEG controls read ${Math.abs(qc.edgeControlShift).toFixed(1)}% ${dir}`
+      );
+    }
+    if (qc.edgeSampleShift !== null && Math.abs(qc.edgeSampleShift) > edgeThreshold) {
+      const dir = qc.edgeSampleShift < 0 ? 'lower' : 'higher';
+      warnings.push(
+        `Edge effect: outer-ring replicates are ${Math.abs(qc.edgeSampleShift).toFixed(1)} ` +
+          `points ${dir} in viability than interior ones`
+      );
+    }
+    return { points, qc };
+  }
+
+  // Reads text + layout text -> normalized points for every plate (drug = compound, so
+  // DDRImport.groupKeys splits them into one dataset per compound) plus per-plate QC.
+  // options: { unit, zPrimeMin, cvMax, edgeThreshold }
+  function importPlates(readsText, layoutText, options = {}) {
+    const reads = parsePlates(readsText);
+    const layout = parseLayout(layoutText, options);
+    const errors = reads.errors
+      .map((e) => ({ ...e, source: 'reads' }))
+      .concat(layout.errors.map((e) => ({ ...e, source: 'layout' })));
+    const points = [];
+    const qc = [];
+    if (Object.keys(layout.wells).length) {
+      for (const plate of reads.plates) {
+        const result = normalizePlate(plate, layout, options);
+        points.push(...result.points);
+        qc.push(result.qc);
+      }
+    }
+    return { points, qc, errors, plates: reads.plates.length };
+  }
+
+  const DDRPlate = {
+    FORMATS,
+    CONTROL_PATTERNS,
+    controlType,
+    wellName,
+    parseWell,
+    parsePlates,
+    parseLayout,
+    normalizePlate,
+    importPlates,
+  };
+
+  // CommonJS export for Node (see tools/); otherwise attach to the page / worker global
+  if (typeof module === 'object' && module.exports) {
+    module.exports = DDRPlate;
+  } else {
+    global.DDRPlate = DDRPlate;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
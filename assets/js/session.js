@@ -0,0 +1,361 @@
+// Session (de)serialization for JSON files, localStorage autosave and share links.
+// Pure functions, no DOM access.
+// Wrapped in IIFE to attach to window as DDRSession (for file:// compatibility; CommonJS under Node)
+(function (global) {
+  const isNode = typeof module === 'object' && module.exports;
+  const DDRModels = isNode ? require('./models.js') : global.DDRModels;
+  const DDRSettings = isNode ? require('./settings.js') : global.DDRSettings;
+
+  const FORMAT = 'ddr-session';
+  // Bump VERSION whenever the layout changes and add a MIGRATIONS entry for the old version,
+  // so sessions saved by earlier releases keep loading.
+  const VERSION = 1;
+  // MIGRATIONS[v] turns a version-v session into a version-(v + 1) one
+  const MIGRATIONS = {};
+
+  const ALGORITHMS = Object.keys(DDRModels.LOSSES);
+
+  // Config entries a session or settings file may carry: the settings schema, the Emax mode and
+  // whole display sections. Everything else (worker, autosave, link limits, rendering) belongs
+  // to the running app and is never taken from a file.
+  const DISPLAY_SECTIONS = [
+    'axes',
+    'bands',
+    'metrics',
+    'replicates',
+    'synergy',
+    'figure',
+    'modelSelection',
+    'bootstrap',
+    'diagnostics',
+  ];
+  const CONFIG_PATHS = [
+    ...DDRSettings.FIELDS.map((f) => f.path),
+    'fitting.emaxMode',
+    ...DISPLAY_SECTIONS,
+  ];
+
+  // Whether a dotted path is on CONFIG_PATHS, lies inside one, or (with `partial`) leads to one
+  function allowedPath(path, partial) {
+    return CONFIG_PATHS.some(
+      (p) => path === p || path.startsWith(`${p}.`) || (partial && p.startsWith(`${path}.`))
+    );
+  }
+
+  // Copy of the CONFIG_PATHS entries of a config
+  function pickConfig(config, path = '') {
+    const picked = {};
+    for (const [key, value] of Object.entries(config)) {
+      const here = path ? `${path}.${key}` : key;
+      if (allowedPath(here, false)) {
+        picked[key] = clone(value);
+      } else if (isPlainObject(value) && allowedPath(here, true)) {
+        picked[key] = pickConfig(value, here);
+      }
+    }
+    return picked;
+  }
+
+  function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+
+  function clone(v) {
+    return JSON.parse(JSON.stringify(v));
+  }
+
+  // Entries of `config` that differ from `defaults`; keeps share links short
+  function diffConfig(config, defaults) {
+    const diff = {};
+    for (const [key, value] of Object.entries(config)) {
+      const base = defaults ? defaults[key] : undefined;
+      if (isPlainObject(value) && isPlainObject(base)) {
+        const sub = diffConfig(value, base);
+        if (Object.keys(sub).length) {
+          diff[key] = sub;
+        }
+      } else if (JSON.stringify(value) !== JSON.stringify(base)) {
+        diff[key] = clone(value);
+      }
+    }
+    return diff;
+  }
+
+  // Deep-merge `override` into `target`, taking only CONFIG_PATHS keys that already exist in
+  // `target` with the same kind of value. Returns the dotted paths that were ignored.
+  function mergeConfig(target, override, path = '') {
+    const ignored = [];
+    for (const [key, value] of Object.entries(override)) {
+      const here = path ? `${path}.${key}` : key;
+      const current = target[key];
+      const kind = (v) => (Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v);
+      if (!(key in target) || kind(current) !== kind(value)) {
+        ignored.push(here);
+      } else if (isPlainObject(current)) {
+        ignored.push(...mergeConfig(current, value, here));
+      } else if (!allowedPath(here, false)) {
+        ignored.push(here);
+      } else {
+        target[key] = clone(value);
+      }
+    }
+    return ignored;
+  }
+
+  // Plain JSON snapshot of the app state. With options.compact the config is stored as a diff
+  // against options.defaults (for links); files carry the full effective config. Either way
+  // only the CONFIG_PATHS entries are written.
+  function serialize(state, options = {}) {
+    const config =
+      options.compact && options.defaults
+        ? diffConfig(pickConfig(state.config), options.defaults)
+        : pickConfig(state.config);
+    const session = {
+      format: FORMAT,
+      version: VERSION,
+      savedAt: new Date().toISOString(),
+      activeCurveId: state.activeCurveId,
+      config,
+      curves: state.curves.map((c) => {
+        const curve = {
+          id: c.id,
+          name: c.name,
+          color: c.color,
+          fitType: c.fitType,
+          algorithm: c.algorithm,
+          dataPoints: c.dataPoints.map((p) => {
+            const point = { concentration: p.concentration, viability: p.viability };
+            if (p.excluded) {
+              point.excluded = true;
+            }
+            if (p.weight !== undefined) {
+              point.weight = p.weight;
+            }
+            return point;
+          }),
+          // A fit still running belongs to older data, so it is not saved
+          fittedCurve:
+            c.fittedCurve && !c.fitting
+              ? { type: c.fittedCurve.type, params: c.fittedCurve.params.slice() }
+              : null,
+        };
+        // Generating model of simulated data (see DDRSimulate), only when there is one
+        if (c.truth) {
+          curve.truth = { model: c.truth.model, params: c.truth.params.slice() };
+        }
+        return curve;
+      }),
+    };
+    // Combination matrix (see DDRSynergy.parseMatrix), only when one is open; missing wells are
+    // stored as null
+    if (state.combination) {
+      session.combination = clone(state.combination);
+    }
+    return session;
+  }
+
+  // Check (and migrate) a parsed session. Returns { session, errors }; session is null when
+  // anything is wrong, and each error names the offending field.
+  function validate(data) {
+    if (!isPlainObject(data) || data.format !== FORMAT) {
+      return { session: null, errors: ['Not a dose–response session'] };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      return { session: null, errors: ['Missing or invalid session version'] };
+    }
+    if (data.version > VERSION) {
+      return {
+        session: null,
+        errors: [`Session version ${data.version} is newer than this app supports (${VERSION})`],
+      };
+    }
+    let session = clone(data);
+    for (let v = session.version; v < VERSION; v++) {
+      session = { ...MIGRATIONS[v](session), version: v + 1 };
+    }
+
+    const errors = [];
+    const isNum = (v) => typeof v === 'number' && isFinite(v);
+    const fitTypes = Object.keys(DDRModels.MODEL_SPECS).concat(['auto']);
+    if (!isPlainObject(session.config)) {
+      errors.push('config: must be an object');
+    }
+    if (!Array.isArray(session.curves) || session.curves.length === 0) {
+      errors.push('curves: must be a non-empty list');
+      return { session: null, errors };
+    }
+    const ids = new Set();
+    session.curves.forEach((c, i) => {
+      const at = `curves[${i}]`;
+      if (!isPlainObject(c)) {
+        errors.push(`${at}: must be an object`);
+        return;
+      }
+      if (!Number.isInteger(c.id) || c.id < 1 || ids.has(c.id)) {
+        errors.push(`${at}.id: must be a unique positive integer`);
+      }
+      ids.add(c.id);
+      if (typeof c.name !== 'string') {
+        errors.push(`${at}.name: must be a string`);
+      }
+      if (typeof c.color !== 'string') {
+        errors.push(`${at}.color: must be a string`);
+      }
+      if (!fitTypes.includes(c.fitType)) {
+        errors.push(`${at}.fitType: unknown "${c.fitType}"`);
+      }
+      if (!ALGORITHMS.includes(c.algorithm)) {
+        errors.push(`${at}.algorithm: unknown "${c.algorithm}"`);
+      }
+      if (!Array.isArray(c.dataPoints)) {
+        errors.push(`${at}.dataPoints: must be a list`);
+      } else {
+        c.dataPoints.forEach((p, j) => {
+          const pAt = `${at}.dataPoints[${j}]`;
+          if (!isPlainObject(p) || !isNum(p.concentration) || p.concentration <= 0) {
+            errors.push(`${pAt}.concentration: must be a positive number`);
+          } else if (!isNum(p.viability)) {
+            errors.push(`${pAt}.viability: must be a number`);
+          } else if (p.excluded !== undefined && typeof p.excluded !== 'boolean') {
+            errors.push(`${pAt}.excluded: must be true or false`);
+          } else if (p.weight !== undefined && !(isNum(p.weight) && p.weight >= 0)) {
+            errors.push(`${pAt}.weight: must be a number ≥ 0`);
+          }
+        });
+      }
+      // Saved fit { type, params } and simulation truth { model, params }
+      for (const [key, typeKey] of [
+        ['fittedCurve', 'type'],
+        ['truth', 'model'],
+      ]) {
+        const fc = c[key];
+        if (fc === null || fc === undefined) {
+          continue;
+        }
+        const names = DDRModels.PARAM_NAMES[fc[typeKey]];
+        if (!names) {
+          errors.push(`${at}.${key}.${typeKey}: unknown "${fc[typeKey]}"`);
+        } else if (
+          !Array.isArray(fc.params) ||
+          fc.params.length !== names.length ||
+          !fc.params.every(isNum)
+        ) {
+          errors.push(`${at}.${key}.params: expected ${names.length} numbers`);
+        }
+      }
+    });
+    if (session.combination !== null && session.combination !== undefined) {
+      errors.push(...validateCombination(session.combination));
+      if (!errors.length) {
+        const m = session.combination.matrix;
+        m.viability = m.viability.map((row) => row.map((v) => (v === null ? NaN : v)));
+      }
+    } else {
+      session.combination = null;
+    }
+    if (!ids.has(session.activeCurveId)) {
+      session.activeCurveId = session.curves[0].id;
+    }
+    return { session: errors.length ? null : session, errors };
+  }
+
+  function validateCombination(combo) {
+    const at = 'combination.matrix';
+    const m = isPlainObject(combo) ? combo.matrix : null;
+    if (!isPlainObject(m)) {
+      return [`${at}: must be an object`];
+    }
+    const errors = [];
+    const isDoses = (d) =>
+      Array.isArray(d) &&
+      d.length >= 2 &&
+      d[0] === 0 &&
+      d.every((v, i) => typeof v === 'number' && isFinite(v) && (i === 0 || v > d[i - 1]));
+    for (const key of ['drugA', 'drugB']) {
+      if (typeof m[key] !== 'string') {
+        errors.push(`${at}.${key}: must be a string`);
+      }
+    }
+    for (const key of ['dosesA', 'dosesB']) {
+      if (!isDoses(m[key])) {
+        errors.push(`${at}.${key}: must be increasing numbers starting at 0`);
+      }
+    }
+    if (errors.length) {
+      return errors;
+    }
+    const shapeOk =
+      Array.isArray(m.viability) &&
+      m.viability.length === m.dosesA.length &&
+      m.viability.every(
+        (row) =>
+          Array.isArray(row) &&
+          row.length === m.dosesB.length &&
+          row.every((v) => v === null || (typeof v === 'number' && isFinite(v)))
+      );
+    if (!shapeOk) {
+      errors.push(`${at}.viability: must be ${m.dosesA.length} × ${m.dosesB.length} numbers`);
+    }
+    if (typeof combo.name !== 'string') {
+      errors.push('combination.name: must be a string');
+    }
+    return errors;
+  }
+
+  function parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { session: null, errors: [`Invalid JSON: ${err.message}`] };
+    }
+    return validate(data);
+  }
+
+  // Share links carry the session as base64url-encoded UTF-8 JSON in the URL hash (#s=...)
+  function encodeLink(session) {
+    const bytes = new TextEncoder().encode(JSON.stringify(session));
+    let binary = '';
+    for (const b of bytes) {
+      binary += String.fromCharCode(b);
+    }
+    return 's=' + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // Returns null when the hash holds no session, otherwise the result of validate()
+  function decodeLink(hash) {
+    const m = String(hash || '').match(/^#?s=([A-Za-z0-9_-]+)$/);
+    if (!m) {
+      return null;
+    }
+    try {
+      const binary = atob(m[1].replace(/-/g, '+').replace(/_/g, '/'));
+      const bytes = Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+      return parse(new TextDecoder().decode(bytes));
+    } catch (err) {
+      return { session: null, errors: ['Corrupt session link'] };
+    }
+  }
+
+  const DDRSession = {
+    FORMAT,
+    VERSION,
+    MIGRATIONS,
+    CONFIG_PATHS,
+    diffConfig,
+    pickConfig,
+    mergeConfig,
+    serialize,
+    validate,
+    parse,
+    encodeLink,
+    decodeLink,
+  };
+
+  // CommonJS export for Node (see tools/); otherwise attach to the page / worker global
+  if (isNode) {
+    module.exports = DDRSession;
+  } else {
+    global.DDRSession = DDRSession;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,389 @@
+// Settings schema for the in-app configuration editor: the tunable DDRConfig entries with their
+// types and limits, cross-field rules and named presets. Pure functions, no DOM access.
+// Wrapped in IIFE to attach to window as DDRSettings (for file:// compatibility; CommonJS under Node)
+(function (global) {
+  const isNode = typeof module === 'object' && module.exports;
+  const DDRModels = isNode ? require('./models.js') : global.DDRModels;
+
+  // Largest mesh grid (product of density + 1 over the parameters); the whole grid is built
+  // before it is downsampled to mesh.maxCandidates
+  const MAX_MESH_GRID = 1e6;
+
+  const boundPair = (key, label, min, max) => [
+    { path: `bounds.${key}.min`, label: `${label} min`, type: 'number', min, max },
+    { path: `bounds.${key}.max`, label: `${label} max`, type: 'number', min, max },
+  ];
+
+  const densities = (key, model, label) => ({
+    path: `mesh.${key}`,
+    label: `Densities, ${label}`,
+    type: 'list',
+    model, // one integer per parameter of this model
+    min: 1,
+    max: 50,
+  });
+
+  // Editable entries by section. type: 'number', 'integer', 'boolean', 'select' (with
+  // `options`) or 'list' (comma-separated integers); min / max are inclusive limits.
+  const SCHEMA = [
+    {
+      title: 'Fitting',
+      fields: [
+        {
+          path: 'fitting.minPointsForFit',
+          label: 'Min. points for a fit',
+          type: 'integer',
+          min: 3,
+          max: 100,
+        },
+      ],
+    },
+    {
+      title: 'Parameter bounds',
+      fields: [
+        ...boundPair('eInf', 'E_inf', 0, 1),
+        ...boundPair('hillSlope', 'Hill slope', 0, 20),
+        ...boundPair('ec50', 'log10 EC50 (µM)', -12, 12),
+        ...boundPair('e0', 'E0 (4PL / 5PL)', 0, 3),
+        ...boundPair('asymmetry', 'log10 S (5PL)', -3, 3),
+      ],
+    },
+    {
+      title: 'Optimizer',
+      fields: [
+        {
+          path: 'optimizer.method',
+          label: 'Method',
+          type: 'select',
+          options: { case1: 'Case 1 (gradient, mesh, pattern search)', lm: 'Levenberg–Marquardt' },
+        },
+        {
+          path: 'optimizer.lmMaxIterations',
+          label: 'LM iterations per start',
+          type: 'integer',
+          min: 1,
+          max: 10000,
+        },
+        {
+          path: 'optimizer.lmTolerance',
+          label: 'LM tolerance',
+          type: 'number',
+          min: 1e-16,
+          max: 1e-2,
+        },
+        {
+          path: 'optimizer.lmLambda',
+          label: 'LM initial damping',
+          type: 'number',
+          min: 1e-12,
+          max: 1e6,
+        },
+        {
+          path: 'optimizer.maxGDIter',
+          label: 'Gradient iterations',
+          type: 'integer',
+          min: 0,
+          max: 10000,
+        },
+        {
+          path: 'optimizer.gdAlpha',
+          label: 'Gradient step scale',
+          type: 'number',
+          min: 1e-6,
+          max: 100,
+        },
+        {
+          path: 'optimizer.gdEps',
+          label: 'Finite-difference step',
+          type: 'number',
+          min: 1e-12,
+          max: 1e-2,
+        },
+        {
+          path: 'optimizer.gdBacktrackingMax',
+          label: 'Backtracking steps',
+          type: 'integer',
+          min: 0,
+          max: 50,
+        },
+        {
+          path: 'optimizer.improvementTol',
+          label: 'Gradient acceptance threshold',
+          type: 'number',
+          min: 0,
+          max: 1,
+        },
+        {
+          path: 'optimizer.maxIterations',
+          label: 'Nelder–Mead iterations',
+          type: 'integer',
+          min: 1,
+          max: 1e6,
+        },
+        {
+          path: 'optimizer.convergenceTolerance',
+          label: 'Nelder–Mead tolerance',
+          type: 'number',
+          min: 1e-16,
+          max: 0.1,
+        },
+      ],
+    },
+    {
+      title: 'Robust loss and weights',
+      fields: [
+        {
+          path: 'robust.huberDelta',
+          label: 'Huber delta (fraction)',
+          type: 'number',
+          min: 1e-4,
+          max: 1,
+        },
+        {
+          path: 'robust.tukeyC',
+          label: 'Tukey bisquare c (fraction)',
+          type: 'number',
+          min: 1e-4,
+          max: 1,
+        },
+        {
+          path: 'robust.cauchyC',
+          label: 'Cauchy c (fraction)',
+          type: 'number',
+          min: 1e-4,
+          max: 1,
+        },
+        {
+          path: 'robust.softL1C',
+          label: 'Soft-L1 c (fraction)',
+          type: 'number',
+          min: 1e-4,
+          max: 1,
+        },
+        {
+          path: 'robust.weighting',
+          label: 'Point weighting',
+          type: 'select',
+          options: DDRModels.WEIGHTING_SCHEMES,
+        },
+        {
+          path: 'robust.weightFloor',
+          label: 'Weight floor (% viability)',
+          type: 'number',
+          min: 0.01,
+          max: 100,
+        },
+        // Positional scheme only. 0 would fall back to the built-in weight of 10, so the lower
+        // limit stays above it
+        {
+          path: 'robust.weights.endpoints',
+          label: 'Endpoint weight',
+          type: 'number',
+          min: 0.01,
+          max: 1000,
+        },
+        {
+          path: 'robust.weights.midpoint',
+          label: 'Midpoint weight',
+          type: 'number',
+          min: 0.01,
+          max: 1000,
+        },
+        {
+          path: 'robust.weights.enableMidpointForMonophasic',
+          label: 'Midpoint weight on single-phase fits',
+          type: 'boolean',
+        },
+      ],
+    },
+    {
+      title: 'Mesh search (Case 1)',
+      fields: [
+        densities('densitiesMono', 'monophasic', 'monophasic'),
+        densities('densitiesBiphasic', 'biphasic', 'biphasic'),
+        densities('densities4PL', 'logistic4', '4PL'),
+        densities('densities5PL', 'logistic5', '5PL'),
+        { path: 'mesh.stepScale', label: 'Step scale', type: 'number', min: 1e-3, max: 10 },
+        { path: 'mesh.span', label: 'Pattern search span', type: 'number', min: 1e-6, max: 100 },
+        {
+          path: 'mesh.precision',
+          label: 'Pattern search precision',
+          type: 'number',
+          min: 1e-10,
+          max: 1,
+        },
+        {
+          path: 'mesh.maxCandidates',
+          label: 'Max. mesh candidates',
+          type: 'integer',
+          min: 10,
+          max: 1e6,
+        },
+      ],
+    },
+  ];
+
+  const FIELDS = SCHEMA.flatMap((section) => section.fields);
+
+  // Named presets: schema entries that differ from the shipped defaults
+  const PRESETS = {
+    default: { label: 'Default', values: {} },
+    fast: { label: 'Fast (Levenberg–Marquardt)', values: { 'optimizer.method': 'lm' } },
+    thorough: {
+      label: 'Thorough (denser mesh)',
+      values: {
+        'mesh.densitiesMono': [4, 20, 10],
+        'mesh.densities4PL': [3, 15, 8, 6],
+        'mesh.densities5PL': [3, 12, 8, 5, 5],
+        'mesh.maxCandidates': 20000,
+        'mesh.precision': 1e-5,
+        'optimizer.maxGDIter': 500,
+      },
+    },
+    unweighted: {
+      label: 'Unweighted points',
+      values: { 'robust.weighting': 'uniform' },
+    },
+    robust: { label: 'Strongly robust (Huber δ 0.02)', values: { 'robust.huberDelta': 0.02 } },
+  };
+
+  function getPath(obj, path) {
+    return path.split('.').reduce((o, key) => (o === undefined || o === null ? o : o[key]), obj);
+  }
+
+  function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((o, key) => (o[key] = o[key] || {}), obj);
+    target[last] = value;
+  }
+
+  const copy = (v) => (Array.isArray(v) ? v.slice() : v);
+
+  // Schema entries of a config as { path: value }
+  function read(config) {
+    return Object.fromEntries(FIELDS.map((f) => [f.path, copy(getPath(config, f.path))]));
+  }
+
+  function write(config, values) {
+    for (const [path, value] of Object.entries(values)) {
+      setPath(config, path, copy(value));
+    }
+  }
+
+  // Schema entries of a preset: the defaults with the preset's changes on top
+  function presetValues(name, defaults) {
+    return { ...read(defaults), ...PRESETS[name].values };
+  }
+
+  // Value of a form input: `raw` is the input text, or a boolean for checkboxes. Returns
+  // { value } or { error }.
+  function parseInput(field, raw) {
+    if (field.type === 'boolean') {
+      return { value: Boolean(raw) };
+    }
+    if (field.type === 'select') {
+      return { value: raw };
+    }
+    const text = String(raw).trim();
+    if (field.type === 'list') {
+      const value = text
+        .split(/[\s,;]+/)
+        .filter(Boolean)
+        .map(Number);
+      return value.length && value.every(isFinite)
+        ? { value }
+        : { error: 'Enter numbers separated by commas' };
+    }
+    const value = text === '' ? NaN : Number(text);
+    return isFinite(value) ? { value } : { error: 'Enter a number' };
+  }
+
+  function checkField(field, value) {
+    const range = `${field.min} to ${field.max}`;
+    switch (field.type) {
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+      case 'select':
+        return Object.prototype.hasOwnProperty.call(field.options, value)
+          ? null
+          : `must be one of ${Object.keys(field.options).join(', ')}`;
+      case 'list': {
+        const n = DDRModels.paramSpecs(field.model).length;
+        if (!Array.isArray(value) || value.length !== n) {
+          return `needs ${n} values, one per parameter`;
+        }
+        if (!value.every((v) => Number.isInteger(v) && v >= field.min && v <= field.max)) {
+          return `values must be whole numbers from ${range}`;
+        }
+        return null;
+      }
+      default:
+        if (typeof value !== 'number' || !isFinite(value)) {
+          return 'must be a number';
+        }
+        if (field.type === 'integer' && !Number.isInteger(value)) {
+          return 'must be a whole number';
+        }
+        return value >= field.min && value <= field.max ? null : `must be from ${range}`;
+    }
+  }
+
+  // Check schema values (see read) field by field, then the rules that tie fields together.
+  // Returns [{ path, message }]; empty when the values can be applied.
+  function validate(values) {
+    const errors = [];
+    for (const f of FIELDS) {
+      const message = checkField(f, values[f.path]);
+      if (message) {
+        errors.push({ path: f.path, message: `${f.label} ${message}` });
+      }
+    }
+    if (errors.length) {
+      return errors;
+    }
+
+    for (const f of FIELDS.filter((field) => field.path.endsWith('.min'))) {
+      const maxPath = f.path.replace(/min$/, 'max');
+      if (values[f.path] >= values[maxPath]) {
+        errors.push({ path: f.path, message: `${f.label} must be below the max` });
+      }
+    }
+    for (const f of FIELDS.filter((field) => field.type === 'list')) {
+      const size = values[f.path].reduce((p, d) => p * (d + 1), 1);
+      if (size > MAX_MESH_GRID) {
+        errors.push({
+          path: f.path,
+          message: `${f.label} give a ${size.toLocaleString('en-US')}-point grid (max ${MAX_MESH_GRID.toLocaleString('en-US')})`,
+        });
+      }
+    }
+    if (values['mesh.precision'] >= values['mesh.span']) {
+      errors.push({
+        path: 'mesh.precision',
+        message: 'Pattern search precision must be below the span',
+      });
+    }
+    return errors;
+  }
+
+  const DDRSettings = {
+    SCHEMA,
+    FIELDS,
+    PRESETS,
+    MAX_MESH_GRID,
+    getPath,
+    read,
+    write,
+    presetValues,
+    parseInput,
+    validate,
+  };
+
+  // CommonJS export for Node (see tools/); otherwise attach to the page / worker global
+  if (isNode) {
+    module.exports = DDRSettings;
+  } else {
+    global.DDRSettings = DDRSettings;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,182 @@
+// Synthetic datasets with known ground truth: dose series, noise models, parameter recovery
+// errors and seeded batch simulations over loss / optimizer settings. Pure functions, no DOM
+// access.
+// Wrapped in IIFE to attach to window as DDRSimulate (for file:// compatibility; CommonJS under Node)
+(function (global) {
+  const isNode = typeof module === 'object' && module.exports;
+  const DDRModels = isNode ? require('./models.js') : global.DDRModels;
+
+  // Generating models (DDRModels.MODEL_SPECS entries), in the order the UI lists them
+  const MODELS = {
+    monophasic: 'Hill (monophasic)',
+    biphasic: 'Biphasic',
+  };
+
+  // Noise on % viability. noise.sd is the SD in viability points; 'heteroscedastic' scales it by
+  // the true response (sd at 100 %, shrinking towards 0 %); 'outliers' adds ± noise.outlierShift
+  // to a noise.outlierFraction share of the points on top of the Gaussian noise.
+  const NOISE_MODELS = {
+    gaussian: 'Gaussian (constant SD)',
+    heteroscedastic: 'Heteroscedastic (SD ∝ response)',
+    outliers: 'Gaussian + outliers',
+  };
+
+  // `count` doses (µM) ascending, each `dilution`-fold below the next, ending at `top`
+  function doseSeries({ count, dilution, top }) {
+    return Array.from({ length: count }, (_, i) => top / Math.pow(dilution, count - 1 - i));
+  }
+
+  // Standard normal draws from a [0, 1) PRNG (Box–Muller)
+  function normalSampler(rng) {
+    return () => {
+      const u = 1 - rng(); // (0, 1], keeps log finite
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+    };
+  }
+
+  // One dataset: `spec.replicates` noisy points per dose of spec.doses from spec.model with
+  // spec.params (DDRModels.PARAM_NAMES order, EC50s in µM), sorted by concentration
+  function generate(spec, rng) {
+    const normal = normalSampler(rng);
+    const noise = spec.noise;
+    const points = [];
+    for (const x of doseSeries(spec.doses)) {
+      const y = DDRModels.modelValue(spec.model, x, spec.params) * 100;
+      for (let r = 0; r < spec.replicates; r++) {
+        const sd = noise.model === 'heteroscedastic' ? (noise.sd * Math.max(y, 0)) / 100 : noise.sd;
+        let viability = y + sd * normal();
+        if (noise.model === 'outliers' && rng() < noise.outlierFraction) {
+          viability += (rng() < 0.5 ? -1 : 1) * noise.outlierShift;
+        }
+        points.push({ concentration: x, viability });
+      }
+    }
+    return points;
+  }
+
+  // The biphasic model is a product of two phases, so swapping them gives the same curve; order
+  // the phases by EC50 so each is compared with its counterpart
+  function phaseOrdered(model, params) {
+    if (model !== 'biphasic' || params[2] <= params[5]) {
+      return params;
+    }
+    return params.slice(3).concat(params.slice(0, 3));
+  }
+
+  // Recovered vs true parameters of a fit of the generating model. `error` is fitted − true on
+  // the fitting scale (log10 ratio for log-scale parameters such as EC50); relError is in % of
+  // the true value, null when the truth is 0. Null when the fit is of another model. Biphasic
+  // phases are matched by EC50 (see phaseOrdered).
+  function recoveryErrors(model, truth, fittedCurve) {
+    if (!fittedCurve || fittedCurve.type !== model) {
+      return null;
+    }
+    const fittedParams = phaseOrdered(model, fittedCurve.params);
+    truth = phaseOrdered(model, truth);
+    return DDRModels.paramSpecs(model).map((spec, i) => {
+      const fitted = fittedParams[i];
+      return {
+        name: spec.name,
+        log: !!spec.log,
+        truth: truth[i],
+        fitted,
+        error: spec.log ? Math.log10(fitted / truth[i]) : fitted - truth[i],
+        relError: truth[i] === 0 ? null : (100 * (fitted - truth[i])) / Math.abs(truth[i]),
+      };
+    });
+  }
+
+  // Batch simulation: `options.nSimulations` datasets drawn from `spec` with a PRNG seeded by
+  // options.seed, each fitted with the generating model under every setting ({ loss, method },
+  // method being config.optimizer.method). All settings see the same datasets. Implemented as a
+  // generator like DDRModels.bootstrapIterator: yields progress after each dataset and returns
+  // { nSimulations, seed, settings: [{ loss, method, failed, params: [{ name, log, truth,
+  // bias, rmse, relBias, relRmse, n }] }] }, with bias / RMSE on the `error` scale of
+  // recoveryErrors and relBias / relRmse in % (over the datasets with a relative error, null
+  // when the truth is 0). Fits with a non-finite error count as failed.
+  function* batchIterator(spec, settings, config, options = {}) {
+    const nSimulations = options.nSimulations || 100;
+    const seed = options.seed ?? 1;
+    const rng = DDRModels.createRng(seed);
+    const specs = DDRModels.paramSpecs(spec.model);
+    const configs = settings.map((s) => ({
+      ...config,
+      optimizer: { ...config.optimizer, method: s.method },
+    }));
+    const samples = settings.map(() => specs.map(() => ({ error: [], rel: [] })));
+    const failed = settings.map(() => 0);
+    for (let sim = 0; sim < nSimulations; sim++) {
+      const points = generate(spec, rng);
+      settings.forEach((s, k) => {
+        const fitPoints = DDRModels.fitPointsForMode(points, configs[k]);
+        const params = DDRModels.fitModel(spec.model, fitPoints, configs[k], s.loss);
+        const errors = recoveryErrors(spec.model, spec.params, { type: spec.model, params });
+        if (!errors.every((e) => isFinite(e.error))) {
+          failed[k]++;
+          return;
+        }
+        errors.forEach((e, i) => {
+          samples[k][i].error.push(e.error);
+          if (e.relError !== null && isFinite(e.relError)) {
+            samples[k][i].rel.push(e.relError);
+          }
+        });
+      });
+      yield { done: sim + 1, total: nSimulations };
+    }
+
+    const mean = (v) => v.reduce((s, x) => s + x, 0) / v.length;
+    const rms = (v) => Math.sqrt(mean(v.map((x) => x * x)));
+    return {
+      nSimulations,
+      seed,
+      settings: settings.map((s, k) => ({
+        loss: s.loss,
+        method: s.method,
+        failed: failed[k],
+        params: specs.map((p, i) => {
+          const { error, rel } = samples[k][i];
+          const n = error.length;
+          return {
+            name: p.name,
+            log: !!p.log,
+            truth: phaseOrdered(spec.model, spec.params)[i],
+            bias: n ? mean(error) : null,
+            rmse: n ? rms(error) : null,
+            relBias: rel.length ? mean(rel) : null,
+            relRmse: rel.length ? rms(rel) : null,
+            n,
+          };
+        }),
+      })),
+    };
+  }
+
+  // Synchronous convenience wrapper around batchIterator
+  function runBatch(spec, settings, config, options) {
+    const it = batchIterator(spec, settings, config, options);
+    let step = it.next();
+    while (!step.done) {
+      step = it.next();
+    }
+    return step.value;
+  }
+
+  const DDRSimulate = {
+    MODELS,
+    NOISE_MODELS,
+    doseSeries,
+    normalSampler,
+    generate,
+    recoveryErrors,
+    batchIterator,
+    runBatch,
+  };
+
+  // CommonJS export for Node (see tools/); otherwise attach to the page / worker global
+  if (isNode) {
+    module.exports = DDRSimulate;
+  } else {
+    global.DDRSimulate = DDRSimulate;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,270 @@
+// Drug combination matrices: parsing, single-agent margin fits and Bliss / HSA / Loewe / ZIP
+// synergy scores. Pure functions, no DOM access.
+// Wrapped in IIFE to attach to window as DDRSynergy (for file:// compatibility; CommonJS under Node)
+(function (global) {
+  const isNode = typeof module === 'object' && module.exports;
+  const DDRModels = isNode ? require('./models.js') : global.DDRModels;
+  const DDRImport = isNode ? require('./importer.js') : global.DDRImport;
+
+  // Reference models, in the order they are listed in the UI and CSV
+  const METHODS = {
+    bliss: 'Bliss independence',
+    hsa: 'Highest single agent',
+    loewe: 'Loewe additivity',
+    zip: 'Zero interaction potency',
+  };
+
+  // Matrix text: the first row holds drug B doses, the first column drug A doses, and the corner
+  // cell may name the drugs ("Drug A \ Drug B", optionally with a unit such as "(nM)"). Both dose
+  // lists must include 0 so the matrix carries each drug's single-agent response. Values are
+  // % viability (fractions 0–1 are detected and scaled). Doses are converted to µM from the corner
+  // unit, else options.unit (default µM).
+  // Returns { matrix: { drugA, drugB, dosesA, dosesB, viability[i][j] }, errors }.
+  function parseMatrix(text, options = {}) {
+    const clean = text.replace(/^\uFEFF/, '');
+    const rows = DDRImport.parseDelimited(clean, DDRImport.detectDelimiter(clean));
+    const errors = [];
+    if (rows.length < 3 || rows[0].cells.length < 3) {
+      return {
+        matrix: null,
+        errors: [{ line: null, message: 'Expected at least a 2 × 2 dose matrix' }],
+      };
+    }
+    const corner = rows[0].cells[0].trim();
+    const unit = DDRImport.unitFromHeader(corner) || DDRImport.normalizeUnit(options.unit) || 'um';
+    const names = corner
+      .replace(/\s*[([][^)\]]*[)\]]\s*$/, '')
+      .split(/\s*(?:\\|\bvs\.?\b)\s*/i)
+      .filter(Boolean);
+    const toUm = (cell, line) => {
+      const v = DDRImport.parseNumber(cell);
+      if (!(v >= 0)) {
+        errors.push({ line, message: `Invalid dose "${cell}"` });
+      }
+      return v * DDRImport.UNIT_TO_UM[unit];
+    };
+
+    let dosesB = rows[0].cells.slice(1).map((c) => toUm(c, rows[0].line));
+    let dosesA = [];
+    let values = [];
+    for (const r of rows.slice(1)) {
+      dosesA.push(toUm(r.cells[0], r.line));
+      values.push(dosesB.map((_, j) => DDRImport.parseNumber(r.cells[j + 1])));
+    }
+    if (errors.length) {
+      return { matrix: null, errors };
+    }
+
+    // Sort both axes ascending (readers often list the highest dose first)
+    const orderA = dosesA.map((d, i) => i).sort((a, b) => dosesA[a] - dosesA[b]);
+    const orderB = dosesB.map((d, j) => j).sort((a, b) => dosesB[a] - dosesB[b]);
+    dosesA = orderA.map((i) => dosesA[i]);
+    dosesB = orderB.map((j) => dosesB[j]);
+    values = orderA.map((i) => orderB.map((j) => values[i][j]));
+    for (const [label, doses] of [
+      ['drug A (rows)', dosesA],
+      ['drug B (columns)', dosesB],
+    ]) {
+      if (doses[0] !== 0) {
+        errors.push({ line: null, message: `No 0 dose for ${label}` });
+      }
+      if (doses.some((d, k) => k > 0 && d === doses[k - 1])) {
+        errors.push({ line: null, message: `Repeated dose for ${label}` });
+      }
+    }
+    if (errors.length) {
+      return { matrix: null, errors };
+    }
+
+    const finite = values.flat().filter((v) => isFinite(v));
+    if (finite.length && finite.every((v) => v >= -0.5 && v <= 1.5)) {
+      values = values.map((row) => row.map((v) => v * 100));
+    }
+    return {
+      matrix: {
+        drugA: options.drugA || names[0] || 'Drug A',
+        drugB: options.drugB || names[1] || 'Drug B',
+        dosesA,
+        dosesB,
+        viability: values,
+      },
+      errors,
+    };
+  }
+
+  // Single-agent Hill fit on the nonzero doses of one margin; null with too few points
+  function fitMargin(doses, viability, config, algo) {
+    const points = doses
+      .map((d, k) => ({ concentration: d, viability: viability[k] }))
+      .filter((p) => p.concentration > 0 && isFinite(p.viability));
+    if (points.length < 3) {
+      return null;
+    }
+    return DDRModels.fitDataset('monophasic', points, config, algo).fittedCurve;
+  }
+
+  // Fractional inhibition (0 = untreated, 1 = full kill) of a fitted margin at dose x
+  function marginEffect(fit, x) {
+    return x > 0 && fit ? 1 - DDRModels.modelValue('monophasic', x, fit.params) : 0;
+  }
+
+  // Dose of a fitted margin that gives inhibition e; Infinity beyond its maximal effect
+  function marginDose(fit, e) {
+    const [hs, eInf, ec50] = fit.params;
+    const eMax = 1 - eInf;
+    if (e <= 0) {
+      return 0;
+    }
+    if (e >= eMax) {
+      return Infinity;
+    }
+    return ec50 * Math.pow(e / (eMax - e), 1 / hs);
+  }
+
+  // Loewe additivity: the effect e with a / A⁻¹(e) + b / B⁻¹(e) = 1, found by bisection
+  function loeweExpected(fitA, fitB, a, b) {
+    const top = Math.max(1 - fitA.params[1], 1 - fitB.params[1]);
+    if (!(top > 0)) {
+      return 0;
+    }
+    const index = (e) => a / marginDose(fitA, e) + b / marginDose(fitB, e) - 1;
+    let lo = 0;
+    let hi = top;
+    for (let k = 0; k < 100 && hi - lo > 1e-10; k++) {
+      const mid = (lo + hi) / 2;
+      if (index(mid) > 0) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    return (lo + hi) / 2;
+  }
+
+  // ZIP (Yadav et al. 2015): refit one drug's responses at a fixed dose of the other as a Hill
+  // curve starting from the other drug's fitted single-agent effect e0. Returns the fitted
+  // inhibition at each dose, or the observed values when there are too few points.
+  function zipCurve(doses, observed, e0, guess, config) {
+    const idx = doses.map((d, k) => k).filter((k) => doses[k] > 0 && isFinite(observed[k]));
+    if (idx.length < 3) {
+      return observed.slice();
+    }
+    const model = (p, x) => {
+      const u = Math.pow(x / Math.pow(10, p[0]), Math.exp(p[1]));
+      return (e0 + p[2] * u) / (1 + u);
+    };
+    const sse = (p) => {
+      if (p[2] < -0.5 || p[2] > 1.5) {
+        return 1e10;
+      }
+      return idx.reduce((s, k) => s + Math.pow(model(p, doses[k]) - observed[k], 2), 0);
+    };
+    const start = [Math.log10(guess.ec50), Math.log(Math.max(0.1, guess.hs)), guess.eMax];
+    const simplex = [start].concat(
+      start.map((v, k) => start.map((w, m) => (m === k ? w + (k === 2 ? 0.1 : 0.5) : w)))
+    );
+    const best = DDRModels.nelderMead(sse, simplex, config);
+    return doses.map((x, k) => (x > 0 ? model(best, x) : observed[k]));
+  }
+
+  // Fit both margins and score every combination cell. Scores are observed minus expected
+  // inhibition in percentage points (> 0 synergy, < 0 antagonism):
+  //   bliss  expected eA + eB − eA·eB from the observed single-agent responses
+  //   hsa    expected max(eA, eB) from the observed single-agent responses
+  //   loewe  expected from the fitted margins (see loeweExpected)
+  //   zip    ZIP delta: mean of the row / column refits minus Bliss on the fitted margins
+  // Returns { drugA, drugB, fitA, fitB, cells: [{ i, j, a, b, viability, bliss, hsa, loewe, zip }],
+  // summary: { method: { mean, max, min } }, errors }.
+  function analyzeMatrix(matrix, config, algo) {
+    const { dosesA, dosesB, viability } = matrix;
+    const inhibition = viability.map((row) => row.map((v) => 1 - v / 100));
+    const fitA = fitMargin(
+      dosesA,
+      viability.map((row) => row[0]),
+      config,
+      algo
+    );
+    const fitB = fitMargin(dosesB, viability[0], config, algo);
+    const errors = [];
+    if (!fitA) {
+      errors.push(`${matrix.drugA}: needs 3+ single-agent doses to fit`);
+    }
+    if (!fitB) {
+      errors.push(`${matrix.drugB}: needs 3+ single-agent doses to fit`);
+    }
+
+    // ZIP refits: rows vary drug B at a fixed dose of A, columns vary drug A at a fixed dose of B
+    const zipConfig = { optimizer: { maxIterations: 2000, convergenceTolerance: 1e-10 } };
+    const guess = (fit) => ({ hs: fit.params[0], ec50: fit.params[2], eMax: 1 - fit.params[1] });
+    let zipRows = null;
+    let zipCols = null;
+    if (fitA && fitB) {
+      zipRows = dosesA.map((a, i) =>
+        zipCurve(dosesB, inhibition[i], marginEffect(fitA, a), guess(fitB), zipConfig)
+      );
+      zipCols = dosesB.map((b, j) =>
+        zipCurve(
+          dosesA,
+          inhibition.map((row) => row[j]),
+          marginEffect(fitB, b),
+          guess(fitA),
+          zipConfig
+        )
+      );
+    }
+
+    const cells = [];
+    for (let i = 1; i < dosesA.length; i++) {
+      for (let j = 1; j < dosesB.length; j++) {
+        const observed = inhibition[i][j];
+        if (!isFinite(observed)) {
+          continue;
+        }
+        const a = dosesA[i];
+        const b = dosesB[j];
+        const eA = inhibition[i][0];
+        const eB = inhibition[0][j];
+        const cell = { i, j, a, b, viability: viability[i][j], loewe: null, zip: null };
+        cell.bliss = isFinite(eA + eB) ? 100 * (observed - (eA + eB - eA * eB)) : null;
+        cell.hsa = isFinite(eA + eB) ? 100 * (observed - Math.max(eA, eB)) : null;
+        if (fitA && fitB) {
+          cell.loewe = 100 * (observed - loeweExpected(fitA, fitB, a, b));
+          const fA = marginEffect(fitA, a);
+          const fB = marginEffect(fitB, b);
+          cell.zip = 100 * ((zipRows[i][j] + zipCols[j][i]) / 2 - (fA + fB - fA * fB));
+        }
+        cells.push(cell);
+      }
+    }
+
+    const summary = {};
+    for (const method of Object.keys(METHODS)) {
+      const scores = cells.map((c) => c[method]).filter((v) => v !== null && isFinite(v));
+      summary[method] = scores.length
+        ? {
+            mean: scores.reduce((s, v) => s + v, 0) / scores.length,
+            max: Math.max(...scores),
+            min: Math.min(...scores),
+          }
+        : { mean: null, max: null, min: null };
+    }
+    return { drugA: matrix.drugA, drugB: matrix.drugB, fitA, fitB, cells, summary, errors };
+  }
+
+  const DDRSynergy = {
+    METHODS,
+    parseMatrix,
+    fitMargin,
+    marginEffect,
+    marginDose,
+    loeweExpected,
+    analyzeMatrix,
+  };
+
+  // CommonJS export for Node (see tools/); otherwise attach to the page / worker global
+  if (isNode) {
+    module.exports = DDRSynergy;
+  } else {
+    global.DDRSynergy = DDRSynergy;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
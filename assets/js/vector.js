@@ -0,0 +1,477 @@
+// Vector figure export: a recording stand-in for CanvasRenderingContext2D plus SVG and PDF
+// writers for what it recorded. The app replays its normal draw() onto the recorder, so the
+// figure matches the screen. Pure functions, no DOM access (text is measured by a callback).
+// Wrapped in IIFE to attach to window as DDRVector (for file:// compatibility; CommonJS under Node)
+(function (global) {
+  const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+  // [a b c d e f] maps (x, y) to (a·x + c·y + e, b·x + d·y + f), as in canvas setTransform
+  function multiply(m, n) {
+    return [
+      m[0] * n[0] + m[2] * n[1],
+      m[1] * n[0] + m[3] * n[1],
+      m[0] * n[2] + m[2] * n[3],
+      m[1] * n[2] + m[3] * n[3],
+      m[0] * n[4] + m[2] * n[5] + m[4],
+      m[1] * n[4] + m[3] * n[5] + m[5],
+    ];
+  }
+
+  function apply(m, x, y) {
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  }
+
+  // '#rgb', '#rrggbb', 'rgb(...)' and 'rgba(...)' as { r, g, b } in 0..1 plus alpha
+  function parseColor(color) {
+    const s = String(color).trim();
+    let m = s.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (m) {
+      const hex = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+      const v = parseInt(hex, 16);
+      return { r: (v >> 16) / 255, g: ((v >> 8) & 255) / 255, b: (v & 255) / 255, a: 1 };
+    }
+    m = s.match(/^rgba?\(([^)]+)\)$/i);
+    if (m) {
+      const [r, g, b, a = 1] = m[1].split(',').map(Number);
+      return { r: r / 255, g: g / 255, b: b / 255, a };
+    }
+    return { r: 0, g: 0, b: 0, a: 1 };
+  }
+
+  // CSS font shorthand as used by the app: "[weight ]<size>px <family>"
+  function parseFont(font) {
+    const m = String(font).match(/^\s*(?:(bold|[1-9]00)\s+)?([\d.]+)px\s+(.+)$/);
+    if (!m) {
+      return { weight: 400, size: 10, family: 'sans-serif' };
+    }
+    return {
+      weight: m[1] === 'bold' ? 700 : Number(m[1] || 400),
+      size: Number(m[2]),
+      family: m[3],
+    };
+  }
+
+  // Records the subset of the 2D context API the app draws with. Paths are stored in device
+  // coordinates as M / L / C / Z segments (arcs become cubic Béziers); each fill, stroke and
+  // text op carries the style and clip region in effect when it was issued. Line widths and
+  // dash lengths are scaled to device units like the path.
+  function createRecorder(width, height, measure) {
+    let path = [];
+    let state = {
+      fillStyle: '#000',
+      strokeStyle: '#000',
+      lineWidth: 1,
+      lineDash: [],
+      font: '10px sans-serif',
+      textAlign: 'start',
+      globalAlpha: 1,
+      transform: IDENTITY,
+      clip: [],
+    };
+    const stack = [];
+    const ops = [];
+    const current = () => {
+      const last = path[path.length - 1];
+      return last && last[0] !== 'Z' ? last.slice(-2) : null;
+    };
+    const rectPath = (x, y, w, h) => {
+      const t = state.transform;
+      return [
+        ['M', ...apply(t, x, y)],
+        ['L', ...apply(t, x + w, y)],
+        ['L', ...apply(t, x + w, y + h)],
+        ['L', ...apply(t, x, y + h)],
+        ['Z'],
+      ];
+    };
+    const scale = () =>
+      Math.sqrt(
+        Math.abs(state.transform[0] * state.transform[3] - state.transform[1] * state.transform[2])
+      );
+
+    const ctx = {
+      width,
+      height,
+      ops,
+      save() {
+        stack.push({ ...state });
+      },
+      restore() {
+        if (stack.length) {
+          state = stack.pop();
+        }
+      },
+      translate(x, y) {
+        state.transform = multiply(state.transform, [1, 0, 0, 1, x, y]);
+      },
+      rotate(angle) {
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        state.transform = multiply(state.transform, [c, s, -s, c, 0, 0]);
+      },
+      scale(sx, sy) {
+        state.transform = multiply(state.transform, [sx, 0, 0, sy, 0, 0]);
+      },
+      beginPath() {
+        path = [];
+      },
+      moveTo(x, y) {
+        path.push(['M', ...apply(state.transform, x, y)]);
+      },
+      lineTo(x, y) {
+        path.push([current() ? 'L' : 'M', ...apply(state.transform, x, y)]);
+      },
+      closePath() {
+        if (path.length) {
+          path.push(['Z']);
+        }
+      },
+      rect(x, y, w, h) {
+        path.push(...rectPath(x, y, w, h));
+      },
+      // Clockwise arcs only (the app draws full circles), split into ≤ 90° Bézier segments
+      arc(cx, cy, r, start, end) {
+        const sweep = Math.min(end - start, 2 * Math.PI);
+        const n = Math.max(1, Math.ceil(sweep / (Math.PI / 2) - 1e-9));
+        const step = sweep / n;
+        const k = (4 / 3) * Math.tan(step / 4);
+        const t = state.transform;
+        const at = (a) => [cx + r * Math.cos(a), cy + r * Math.sin(a)];
+        const [x0, y0] = at(start);
+        path.push([current() ? 'L' : 'M', ...apply(t, x0, y0)]);
+        for (let i = 0; i < n; i++) {
+          const a0 = start + i * step;
+          const a1 = a0 + step;
+          const [sx, sy] = at(a0);
+          const [ex, ey] = at(a1);
+          path.push([
+            'C',
+            ...apply(t, sx - k * r * Math.sin(a0), sy + k * r * Math.cos(a0)),
+            ...apply(t, ex + k * r * Math.sin(a1), ey - k * r * Math.cos(a1)),
+            ...apply(t, ex, ey),
+          ]);
+        }
+      },
+      clip() {
+        state.clip = state.clip.concat([path.slice()]);
+      },
+      fill() {
+        ops.push({ type: 'fill', path: path.slice(), color: state.fillStyle, ...common() });
+      },
+      stroke() {
+        ops.push({
+          type: 'stroke',
+          path: path.slice(),
+          color: state.strokeStyle,
+          lineWidth: state.lineWidth * scale(),
+          dash: state.lineDash.map((v) => v * scale()),
+          ...common(),
+        });
+      },
+      fillRect(x, y, w, h) {
+        ops.push({ type: 'fill', path: rectPath(x, y, w, h), color: state.fillStyle, ...common() });
+      },
+      clearRect() {
+        // the writers start from a white page
+      },
+      fillText(text, x, y) {
+        ops.push({
+          type: 'text',
+          text: String(text),
+          x,
+          y,
+          matrix: state.transform,
+          font: parseFont(state.font),
+          align: state.textAlign,
+          width: measure(String(text), state.font),
+          color: state.fillStyle,
+          ...common(),
+        });
+      },
+      measureText(text) {
+        return { width: measure(String(text), state.font) };
+      },
+      // Same rules as the canvas: invalid lists are ignored, odd-length lists are repeated
+      setLineDash(segments) {
+        if (segments.some((v) => !Number.isFinite(v) || v < 0)) {
+          return;
+        }
+        state.lineDash = segments.length % 2 ? [...segments, ...segments] : segments.slice();
+      },
+      getLineDash() {
+        return state.lineDash.slice();
+      },
+    };
+    const common = () => ({ alpha: state.globalAlpha, clip: state.clip });
+    for (const key of [
+      'fillStyle',
+      'strokeStyle',
+      'lineWidth',
+      'font',
+      'textAlign',
+      'globalAlpha',
+    ]) {
+      Object.defineProperty(ctx, key, {
+        get: () => state[key],
+        set: (v) => {
+          state[key] = v;
+        },
+      });
+    }
+    return ctx;
+  }
+
+  const num = (v) => String(+v.toFixed(3));
+
+  // Horizontal offset of a text run for its canvas textAlign
+  function alignOffset(op) {
+    if (op.align === 'center') {
+      return -op.width / 2;
+    }
+    if (op.align === 'right' || op.align === 'end') {
+      return -op.width;
+    }
+    return 0;
+  }
+
+  function svgPath(path) {
+    return path.map(([cmd, ...xy]) => cmd + xy.map(num).join(' ')).join('');
+  }
+
+  function escapeXml(s) {
+    return s.replace(
+      /[<>&"]/g,
+      (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]
+    );
+  }
+
+  // options: { width, height } (figure size in inches), title (document <title>)
+  function toSvg(recording, options = {}) {
+    const { width: w, height: h } = recording;
+    const clipIds = new Map();
+    const defs = [];
+    const clipId = (p) => {
+      const d = svgPath(p);
+      if (!clipIds.has(d)) {
+        clipIds.set(d, `clip${clipIds.size}`);
+        defs.push(`<clipPath id="${clipIds.get(d)}"><path d="${d}"/></clipPath>`);
+      }
+      return clipIds.get(d);
+    };
+    const body = [];
+    for (const op of recording.ops) {
+      const c = parseColor(op.color);
+      const rgb = `rgb(${[c.r, c.g, c.b].map((v) => Math.round(v * 255)).join(',')})`;
+      const alpha = c.a * op.alpha;
+      let el;
+      if (op.type === 'text') {
+        const f = op.font;
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[op.align] || 'start';
+        el =
+          `<text x="${num(op.x)}" y="${num(op.y)}" font-family="${escapeXml(f.family)}" ` +
+          `font-size="${num(f.size)}"${f.weight !== 400 ? ` font-weight="${f.weight}"` : ''} ` +
+          `text-anchor="${anchor}" fill="${rgb}"${alpha < 1 ? ` fill-opacity="${num(alpha)}"` : ''}` +
+          (op.matrix === IDENTITY ? '' : ` transform="matrix(${op.matrix.map(num).join(' ')})"`) +
+          `>${escapeXml(op.text)}</text>`;
+      } else if (op.type === 'fill') {
+        el = `<path d="${svgPath(op.path)}" fill="${rgb}"${alpha < 1 ? ` fill-opacity="${num(alpha)}"` : ''}/>`;
+      } else {
+        el =
+          `<path d="${svgPath(op.path)}" fill="none" stroke="${rgb}" ` +
+          `stroke-width="${num(op.lineWidth)}"${alpha < 1 ? ` stroke-opacity="${num(alpha)}"` : ''}` +
+          (op.dash.length ? ` stroke-dasharray="${op.dash.map(num).join(' ')}"` : '') +
+          '/>';
+      }
+      for (const p of op.clip.slice().reverse()) {
+        el = `<g clip-path="url(#${clipId(p)})">${el}</g>`;
+      }
+      body.push(el);
+    }
+    const size = options.width
+      ? `width="${options.width}in" height="${options.height}in"`
+      : `width="${num(w)}" height="${num(h)}"`;
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" ${size} viewBox="0 0 ${num(w)} ${num(h)}">`,
+      options.title ? `<title>${escapeXml(options.title)}</title>` : '',
+      defs.length ? `<defs>${defs.join('')}</defs>` : '',
+      `<rect width="${num(w)}" height="${num(h)}" fill="#fff"/>`,
+      ...body,
+      '</svg>',
+      '',
+    ]
+      .filter((line) => line !== '')
+      .join('\n');
+  }
+
+  // WinAnsiEncoding code points outside Latin-1; other characters are approximated or '?'
+  const WIN_ANSI = {
+    '€': 128,
+    '…': 133,
+    '•': 149,
+    '–': 150,
+    '—': 151,
+    '‘': 145,
+    '’': 146,
+    '“': 147,
+    '”': 148,
+    '™': 153,
+  };
+  const APPROX = { '−': '-', '→': '->', '←': '<-', Δ: 'D', '≤': '<=', '≥': '>=' };
+
+  // PDF literal string in WinAnsi bytes, non-ASCII written as octal escapes
+  function pdfString(text) {
+    let out = '';
+    for (const ch of Array.from(text)
+      .map((c) => APPROX[c] || c)
+      .join('')) {
+      const code = WIN_ANSI[ch] || (ch.charCodeAt(0) < 256 ? ch.charCodeAt(0) : 63);
+      if (ch === '(' || ch === ')' || ch === '\\') {
+        out += '\\' + ch;
+      } else if (code < 32 || code > 126) {
+        out += '\\' + code.toString(8).padStart(3, '0');
+      } else {
+        out += String.fromCharCode(code);
+      }
+    }
+    return `(${out})`;
+  }
+
+  // Document-info strings (title) as UTF-16BE hex, which any reader decodes
+  function pdfTextString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+      hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+    }
+    return `<${hex.toUpperCase()}>`;
+  }
+
+  // One of the standard 14 fonts (always available to PDF readers, so nothing is embedded)
+  function pdfFontName(family, bold) {
+    const f = family.toLowerCase();
+    const base = /mono|courier/.test(f)
+      ? ['Courier', 'Courier-Bold']
+      : /(^|[\s,'"])(serif|times|georgia)/.test(f) && !/sans-serif/.test(f)
+        ? ['Times-Roman', 'Times-Bold']
+        : ['Helvetica', 'Helvetica-Bold'];
+    return base[bold ? 1 : 0];
+  }
+
+  // Single-page PDF 1.4 built from standard fonts and an uncompressed content stream; ASCII
+  // only, so string length equals byte length for the xref offsets. options.title sets /Title.
+  function toPdf(recording, options = {}) {
+    const { width: w, height: h } = recording;
+    const fonts = new Map();
+    const alphas = new Map();
+    const fontRef = (font) => {
+      const name = pdfFontName(font.family, font.weight >= 600);
+      if (!fonts.has(name)) {
+        fonts.set(name, `F${fonts.size + 1}`);
+      }
+      return fonts.get(name);
+    };
+    const alphaRef = (a) => {
+      const key = num(a);
+      if (!alphas.has(key)) {
+        alphas.set(key, `GS${alphas.size}`);
+      }
+      return alphas.get(key);
+    };
+    const pathOps = (p) =>
+      p
+        .map(([cmd, ...xy]) => {
+          const args = xy.map(num).join(' ');
+          return { M: `${args} m`, L: `${args} l`, C: `${args} c`, Z: 'h' }[cmd];
+        })
+        .join('\n');
+
+    // Page space is flipped to the canvas' top-left origin; text matrices flip glyphs back
+    const lines = [`1 0 0 -1 0 ${num(h)} cm`, `1 1 1 rg 0 0 ${num(w)} ${num(h)} re f`];
+    for (const op of recording.ops) {
+      const c = parseColor(op.color);
+      const rgb = [c.r, c.g, c.b].map(num).join(' ');
+      const alpha = c.a * op.alpha;
+      lines.push('q');
+      for (const p of op.clip) {
+        lines.push(pathOps(p), 'W n');
+      }
+      if (alpha < 1) {
+        lines.push(`/${alphaRef(alpha)} gs`);
+      }
+      if (op.type === 'text') {
+        const m = multiply(op.matrix, [1, 0, 0, -1, op.x + alignOffset(op), op.y]);
+        lines.push(
+          `${rgb} rg`,
+          `BT /${fontRef(op.font)} ${num(op.font.size)} Tf ${m.map(num).join(' ')} Tm`,
+          `${pdfString(op.text)} Tj ET`
+        );
+      } else if (op.type === 'fill') {
+        lines.push(`${rgb} rg`, pathOps(op.path), 'f');
+      } else {
+        lines.push(
+          `${rgb} RG ${num(op.lineWidth)} w`,
+          ...(op.dash.length ? [`[${op.dash.map(num).join(' ')}] 0 d`] : []),
+          pathOps(op.path),
+          'S'
+        );
+      }
+      lines.push('Q');
+    }
+    const content = lines.join('\n');
+
+    const objects = [];
+    const add = (body) => objects.push(body) + 1; // object 1 is the catalog, added last
+    const fontObjs = Array.from(fonts, ([name, ref]) => {
+      const id = add(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`
+      );
+      return `/${ref} ${id} 0 R`;
+    });
+    const gsObjs = Array.from(
+      alphas,
+      ([a, ref]) => `/${ref} ${add(`<< /Type /ExtGState /ca ${a} /CA ${a} >>`)} 0 R`
+    );
+    const contentId = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    const pagesId = objects.length + 3; // the page object comes first, then the page tree
+    const pageId = add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(w)} ${num(h)}] ` +
+        `/Resources << /Font << ${fontObjs.join(' ')} >> /ExtGState << ${gsObjs.join(' ')} >> >> ` +
+        `/Contents ${contentId} 0 R >>`
+    );
+    add(`<< /Type /Pages /Kids [${pageId} 0 R] /Count 1 >>`);
+    const infoId = add(
+      `<< /Producer ${pdfString('Dose Response Curve Fitting')}` +
+        (options.title ? ` /Title ${pdfTextString(options.title)}` : '') +
+        ' >>'
+    );
+    objects.unshift(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const offset = pdf.length;
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\n`;
+    pdf += `startxref\n${xref}\n%%EOF\n`;
+    return pdf;
+  }
+
+  const DDRVector = {
+    createRecorder,
+    toSvg,
+    toPdf,
+    parseColor,
+    parseFont,
+  };
+
+  // CommonJS export for Node (see tools/); otherwise attach to the page / worker global
+  if (typeof module === 'object' && module.exports) {
+    module.exports = DDRVector;
+  } else {
+    global.DDRVector = DDRVector;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
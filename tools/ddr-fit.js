@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+// Batch dose–response fitter: reads a long-format CSV/TSV (drug, cell line, dose, viability),
+// fits every drug / cell line group with the same DDRModels code the browser app uses, and
+// writes one results row per group.
+//
+//   node tools/ddr-fit.js screen.csv --fit-type auto --out results.csv
+//
+// Run with --help for all options.
+
+const fs = require('fs');
+const path = require('path');
+
+const DDRModels = require('../assets/js/models.js');
+const DDRConfig = require('../assets/js/config.js');
+const DDRImport = require('../assets/js/importer.js');
+
+const FIT_TYPES = ['monophasic', 'biphasic', 'logistic4', 'logistic5', 'auto'];
+const FIT_ON = ['all', 'means'];
+
+const USAGE = `Usage: node tools/ddr-fit.js <input.csv|-> [options]
+
+Options:
+  -o, --out <file>        Write results CSV to <file> (default: stdout)
+  --fit-type <type>       ${FIT_TYPES.join(' | ')} (default: monophasic)
+  --loss <name>           ${Object.keys(DDRModels.LOSSES).join(' | ')} (default: huber)
+  --unit <unit>           Concentration unit when neither a unit column nor the header
+                          names one: M, mM, uM, nM, pM (default: uM)
+  --map <field=Column,…>  Override the detected column mapping. Fields: concentration,
+                          viability, unit, drug, cellLine, replicate, weight
+  --seed <n>              PRNG seed for randomized fitting steps (default: fitting.seed)
+  --fit-on <mode>         ${FIT_ON.join(' | ')} (fit every replicate or per-dose means)
+  --weighting <scheme>    ${Object.keys(DDRModels.WEIGHTING_SCHEMES).join(' | ')}
+                          (default: robust.weighting; 'user' reads a weight column)
+  --config <file.json>    JSON object deep-merged over DDRConfig
+  -h, --help              Show this help
+`;
+
+function fail(message) {
+  process.stderr.write(`ddr-fit: ${message}\n`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { fitType: 'monophasic', loss: 'huber', map: {} };
+  const takeValue = (i, flag) => {
+    if (i + 1 >= argv.length) {
+      fail(`${flag} needs a value`);
+    }
+    return argv[i + 1];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        opts.help = true;
+        break;
+      case '-o':
+      case '--out':
+        opts.out = takeValue(i++, arg);
+        break;
+      case '--fit-type':
+        opts.fitType = takeValue(i++, arg);
+        break;
+      case '--loss':
+        opts.loss = takeValue(i++, arg);
+        break;
+      case '--unit':
+        opts.unit = takeValue(i++, arg);
+        break;
+      case '--seed':
+        opts.seed = Number(takeValue(i++, arg));
+        if (!Number.isInteger(opts.seed)) {
+          fail('--seed must be an integer');
+        }
+        break;
+      case '--fit-on':
+        opts.fitOn = takeValue(i++, arg);
+        break;
+      case '--weighting':
+        opts.weighting = takeValue(i++, arg);
+        break;
+      case '--config':
+        opts.config = takeValue(i++, arg);
+        break;
+      case '--map':
+        for (const pair of takeValue(i++, arg).split(',')) {
+          const [field, column] = pair.split('=');
+          if (!field || column === undefined) {
+            fail(`bad --map entry "${pair}"`);
+          }
+          opts.map[field.trim()] = column.trim();
+        }
+        break;
+      default:
+        if (arg.startsWith('-') && arg !== '-') {
+          fail(`unknown option ${arg}\n\n${USAGE}`);
+        }
+        if (opts.input) {
+          fail('only one input file may be given');
+        }
+        opts.input = arg;
+    }
+  }
+  return opts;
+}
+
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      target[key] = deepMerge(
+        target[key] && typeof target[key] === 'object' ? target[key] : {},
+        value
+      );
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) {
+    return '';
+  }
+  if (typeof v === 'number') {
+    return isFinite(v) ? String(v) : '';
+  }
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!opts.input) {
+    fail(`no input file\n\n${USAGE}`);
+  }
+  if (!FIT_TYPES.includes(opts.fitType)) {
+    fail(`unknown fit type "${opts.fitType}"`);
+  }
+  if (opts.fitOn !== undefined && !FIT_ON.includes(opts.fitOn)) {
+    fail(`unknown fit-on mode "${opts.fitOn}"`);
+  }
+  if (!DDRModels.LOSSES[opts.loss]) {
+    fail(`unknown loss "${opts.loss}"`);
+  }
+  if (opts.unit && !DDRImport.normalizeUnit(opts.unit)) {
+    fail(`unknown unit "${opts.unit}"`);
+  }
+  if (opts.weighting && !DDRModels.WEIGHTING_SCHEMES[opts.weighting]) {
+    fail(`unknown weighting "${opts.weighting}"`);
+  }
+
+  const config = JSON.parse(JSON.stringify(DDRConfig));
+  if (opts.config) {
+    deepMerge(config, JSON.parse(fs.readFileSync(opts.config, 'utf8')));
+  }
+  if (opts.fitOn) {
+    config.replicates.fitOn = opts.fitOn;
+  }
+  if (opts.seed !== undefined) {
+    config.fitting.seed = opts.seed;
+  }
+  if (opts.weighting) {
+    config.robust.weighting = opts.weighting;
+  }
+
+  const text = fs.readFileSync(opts.input === '-' ? 0 : opts.input, 'utf8');
+  const parsed = DDRImport.analyze(text);
+  const mapping = { ...parsed.mapping };
+  for (const [field, column] of Object.entries(opts.map)) {
+    if (!DDRImport.FIELDS.some((f) => f.key === field)) {
+      fail(`unknown --map field "${field}"`);
+    }
+    const idx = parsed.headers.indexOf(column);
+    if (idx < 0) {
+      fail(`column "${column}" not found (have: ${parsed.headers.join(', ')})`);
+    }
+    mapping[field] = idx;
+  }
+  const { points, errors } = DDRImport.mapRows(parsed, mapping, { defaultUnit: opts.unit });
+  const source = opts.input === '-' ? 'stdin' : path.basename(opts.input);
+  for (const err of errors) {
+    process.stderr.write(`${source}${err.line ? `:${err.line}` : ''}: ${err.message}\n`);
+  }
+  if (errors.some((e) => e.line === null)) {
+    process.exit(1);
+  }
+
+  // Group by drug / cell line, keeping first-seen order
+  const groups = new Map();
+  for (const p of points) {
+    const key = `${p.drug || ''}\u0000${p.cellLine || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, { drug: p.drug || '', cellLine: p.cellLine || '', points: [] });
+    }
+    groups.get(key).points.push(p);
+  }
+
+  const minPts = config.fitting.minPointsForFit;
+  const results = [];
+  for (const g of groups.values()) {
+    const sorted = g.points.slice().sort((a, b) => a.concentration - b.concentration);
+    const row = { drug: g.drug, cellLine: g.cellLine, n: sorted.length, params: {}, se: {} };
+    if (sorted.length < minPts) {
+      row.status = `too few points (need ${minPts})`;
+    } else {
+      const fit = DDRModels.fitDataset(opts.fitType, sorted, config, opts.loss);
+      row.status = 'ok';
+      row.model = fit.fittedCurve.type;
+      row.metrics = fit.metrics;
+      row.selection = fit.modelSelection;
+      row.outliers = fit.diagnostics.outliers;
+      const se = DDRModels.standardErrors(fit.fittedCurve, fit.covariance);
+      DDRModels.PARAM_NAMES[row.model].forEach((name, i) => {
+        row.params[name] = fit.fittedCurve.params[i];
+        row.se[name] = se ? se[i] : null;
+      });
+    }
+    results.push(row);
+  }
+
+  // Parameter columns: union over the models that were actually fitted
+  const paramColumns = [];
+  for (const r of results) {
+    for (const name of Object.keys(r.params)) {
+      if (!paramColumns.includes(name)) {
+        paramColumns.push(name);
+      }
+    }
+  }
+  const { ecLevels = [] } = config.metrics;
+  const icLevels = (config.metrics.icLevels || []).filter((x) => x !== 50); // ic50_uM above
+  const header = ['drug', 'cell_line', 'n_points', 'fit_type', 'model', 'loss', 'weighting']
+    .concat(['seed', 'status'])
+    .concat(paramColumns)
+    .concat(paramColumns.map((name) => `se_${name}`))
+    .concat([
+      'r_squared',
+      'ic50_uM',
+      'auc',
+      'emax',
+      'emax_mode',
+      'auc_fit',
+      'aac',
+      'auc_norm',
+      'dss1',
+      'dss2',
+      'dss3',
+    ])
+    .concat(icLevels.map((x) => `ic${x}_uM`))
+    .concat(ecLevels.map((x) => `ec${x}_uM`))
+    .concat(['selection_criterion', 'delta_aicc', 'f_test_p', 'n_outliers']);
+  const lines = [header.join(',')];
+  const seed = config.fitting.seed;
+  const { weighting } = config.robust;
+  for (const r of results) {
+    const m = r.metrics || {};
+    const sel = r.selection || {};
+    const cells = [r.drug, r.cellLine, r.n, opts.fitType, r.model, opts.loss, weighting]
+      .concat([seed, r.status])
+      .concat(paramColumns.map((name) => r.params[name]))
+      .concat(paramColumns.map((name) => r.se[name]))
+      .concat([m.rSquared, m.ic50, m.auc, m.emax, config.fitting.emaxMode])
+      .concat([m.aucFit, m.aac, m.aucNorm])
+      .concat([m.dss1, m.dss2, m.dss3])
+      .concat(icLevels.map((x) => (m.icx || {})[x]))
+      .concat(ecLevels.map((x) => (m.ecx || {})[x]))
+      .concat([sel.criterion, sel.deltaAICc, sel.pValue, r.outliers]);
+    lines.push(cells.map(csvCell).join(','));
+  }
+  const output = lines.join('\n') + '\n';
+  if (opts.out) {
+    fs.writeFileSync(opts.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main();
@@ -0,0 +1,26 @@
+// ES module entry for Node and bundlers. Re-exports the exact DDRModels / DDRConfig code the
+// browser app loads (those files are CommonJS outside the browser), so server-side pipelines
+// fit with identical numerics:
+//
+//   import { DDRModels, DDRConfig } from './tools/ddr.mjs';
+
+import DDRModels from '../assets/js/models.js';
+import DDRConfig from '../assets/js/config.js';
+import DDRImport from '../assets/js/importer.js';
+import DDRSession from '../assets/js/session.js';
+import DDRPlate from '../assets/js/plate.js';
+import DDRSynergy from '../assets/js/synergy.js';
+import DDRSimulate from '../assets/js/simulate.js';
+import DDRSettings from '../assets/js/settings.js';
+
+export {
+  DDRModels,
+  DDRConfig,
+  DDRImport,
+  DDRSession,
+  DDRPlate,
+  DDRSynergy,
+  DDRSimulate,
+  DDRSettings,
+};
+export default DDRModels;